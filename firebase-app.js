@@ -11,15 +11,55 @@ const CONFIG = {
     // MyScript iink API for Hebrew handwriting recognition
     MYSCRIPT_APP_KEY: '', // Set in settings
     MYSCRIPT_HMAC_KEY: '', // Set in settings
-    HANDWRITING_DELAY: 800 // ms to wait after drawing stops
+    AZURE_ENDPOINT: '', // Set in settings
+    AZURE_KEY: '', // Set in settings
+    HANDWRITING_ENABLED: false, // Per-cell pencil canvases (mobile)
+    HANDWRITING_DELAY: 800, // ms to wait after drawing stops
+    CONFLICT_WINDOW: 5000, // ms - a teammate overwriting our letter this soon is flagged
+    CONFLICT_FLAG_DURATION: 2500 // ms to show the conflict mark in the cell
 };
 
 const HEBREW_RANGE = /^[\u0590-\u05FF]$/;
+const HEBREW_LETTERS = 'אבגדהוזחטיכךלמםנןסעפףצץקרשת';
+
+// Identifies this browser tab in shared room data (e.g. who wrote a letter)
+function getClientId() {
+    let clientId = sessionStorage.getItem('clientId');
+    if (!clientId) {
+        clientId = Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+        sessionStorage.setItem('clientId', clientId);
+    }
+    return clientId;
+}
+
+const CLIENT_ID = getClientId();
+window.CLIENT_ID = CLIENT_ID; // Make available globally for shared-drawing-v2.js
+
+// Identifies this device across sessions - rooms created before sign-in store it as createdBy
+function getUserId() {
+    let userId = localStorage.getItem('userId');
+    if (!userId) {
+        userId = Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+        localStorage.setItem('userId', userId);
+    }
+    return userId;
+}
+
+const USER_ID = getUserId();
 
 // Firebase references
 const database = firebase.database();
 window.database = database; // Make available globally for shared-drawing.js
 const storage = firebase.storage();
+const auth = firebase.auth();
+
+// Local testing against the Firebase emulators (firebase emulators:start) - open with ?emulators
+if (new URLSearchParams(location.search).has('emulators')) {
+    auth.useEmulator('http://127.0.0.1:9099');
+    database.useEmulator('127.0.0.1', 9000);
+    storage.useEmulator('127.0.0.1', 9199);
+    console.log('🧪 Using Firebase emulators');
+}
 
 // ========================
 // Error Notifier Class
@@ -73,15 +113,33 @@ class ConnectionMonitor {
     constructor() {
         this.isOnline = true;
         this.hasInitialized = false; // NEW: Track if we've completed initial connection
+        this.connectedListeners = [];
+        this.serverTimeOffset = 0;
         this.setupConnectionHandlers();
     }
 
+    // Estimated server time - client clocks may be skewed
+    serverNow() {
+        return Date.now() + this.serverTimeOffset;
+    }
+
+    // Called every time the Firebase connection is (re)established
+    onConnected(callback) {
+        this.connectedListeners.push(callback);
+    }
+
     setupConnectionHandlers() {
+        // Track the offset between this device's clock and the server's
+        database.ref('.info/serverTimeOffset').on('value', (snapshot) => {
+            this.serverTimeOffset = snapshot.val() || 0;
+        });
+
         // Monitor Firebase connection
         const connectedRef = database.ref('.info/connected');
         connectedRef.on('value', (snapshot) => {
             if (snapshot.val() === true) {
                 this.handleReconnect();
+                this.connectedListeners.forEach(callback => callback());
                 if (!this.hasInitialized) {
                     this.hasInitialized = true; // Mark as initialized after first successful connection
                 }
@@ -189,6 +247,221 @@ class StorageManager {
 
 const storageManager = new StorageManager();
 
+// ========================
+// Offline Queue (IndexedDB)
+// ========================
+
+class OfflineQueue {
+    constructor() {
+        this.DB_NAME = 'ozer-crossword';
+        this.STORE_NAME = 'pendingEdits';
+        this.dbPromise = this.openDatabase();
+        
+        // Edits written in this session - the Firebase SDK already retries these
+        this.inFlight = new Set();
+    }
+
+    openDatabase() {
+        return new Promise((resolve) => {
+            if (!window.indexedDB) {
+                resolve(null);
+                return;
+            }
+            
+            const request = indexedDB.open(this.DB_NAME, 1);
+            
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(this.STORE_NAME, { keyPath: 'key' });
+                store.createIndex('roomId', 'roomId');
+            };
+            
+            request.onsuccess = () => resolve(request.result);
+            
+            request.onerror = () => {
+                console.error('IndexedDB open error:', request.error);
+                resolve(null); // Fall back to in-memory Firebase queue only
+            };
+        });
+    }
+
+    async run(mode, callback) {
+        const db = await this.dbPromise;
+        if (!db) return null;
+        
+        return new Promise((resolve) => {
+            const tx = db.transaction(this.STORE_NAME, mode);
+            const request = callback(tx.objectStore(this.STORE_NAME));
+            
+            tx.oncomplete = () => resolve(request ? request.result : null);
+            tx.onerror = () => {
+                console.error('IndexedDB error:', tx.error);
+                resolve(null);
+            };
+        });
+    }
+
+    // Newer edits of the same target (cell, stroke set) replace older ones
+    async put(edit) {
+        this.inFlight.add(`${edit.key}@${edit.timestamp}`);
+        await this.run('readwrite', store => store.put(edit));
+    }
+
+    async get(key) {
+        return await this.run('readonly', store => store.get(key));
+    }
+
+    // Remove only if no newer edit of the same target was queued meanwhile
+    async remove(key, timestamp) {
+        this.inFlight.delete(`${key}@${timestamp}`);
+        
+        await this.run('readwrite', store => {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (request.result && request.result.timestamp === timestamp) {
+                    store.delete(key);
+                }
+            };
+            return null;
+        });
+    }
+
+    async getRoomEdits(roomId) {
+        const edits = await this.run('readonly', store => store.index('roomId').getAll(roomId));
+        return edits || [];
+    }
+
+    isInFlight(edit) {
+        return this.inFlight.has(`${edit.key}@${edit.timestamp}`);
+    }
+}
+
+const offlineQueue = new OfflineQueue();
+window.offlineQueue = offlineQueue; // Make available globally for shared-drawing-v2.js
+
+// ========================
+// Authentication (Firebase Auth)
+// ========================
+
+class AuthManager {
+    constructor() {
+        this.user = null;
+        this.listeners = [];
+        this.readyPromise = new Promise(resolve => {
+            this.resolveReady = resolve;
+        });
+        
+        auth.onAuthStateChanged(user => this.handleAuthState(user));
+    }
+
+    async handleAuthState(user) {
+        if (!user) {
+            // Hold callers of ready() until the next account is signed in
+            if (this.user) {
+                this.user = null;
+                this.readyPromise = new Promise(resolve => {
+                    this.resolveReady = resolve;
+                });
+            }
+            
+            // Everyone gets an account - start anonymous, upgrade later
+            try {
+                await auth.signInAnonymously();
+            } catch (error) {
+                console.error('Anonymous sign-in error:', error);
+                notifier.error('ההתחברות נכשלה');
+            }
+            return;
+        }
+        
+        this.user = user;
+        console.log(`🔑 Signed in: ${user.isAnonymous ? 'anonymous' : (user.email || user.displayName)} (${user.uid})`);
+        
+        this.resolveReady();
+        this.listeners.forEach(callback => callback(user));
+    }
+
+    get uid() {
+        return this.user ? this.user.uid : null;
+    }
+
+    // Resolves with the current uid once signed in (anonymously or not)
+    async ready() {
+        await this.readyPromise;
+        return this.uid;
+    }
+
+    onChange(callback) {
+        this.listeners.push(callback);
+        if (this.user) callback(this.user);
+    }
+
+    async signInWithGoogle() {
+        const provider = new firebase.auth.GoogleAuthProvider();
+        
+        try {
+            await this.user.linkWithPopup(provider);
+            await this.user.reload();
+            this.handleAuthState(auth.currentUser);
+        } catch (error) {
+            if (error.code !== 'auth/credential-already-in-use') throw error;
+            
+            // This Google account already exists - switch to it and bring our history along
+            await this.switchAccount(() => auth.signInWithCredential(error.credential));
+        }
+    }
+
+    async signInWithEmail(email, password) {
+        const credential = firebase.auth.EmailAuthProvider.credential(email, password);
+        
+        try {
+            // Upgrading keeps the uid, so history and rooms stay ours
+            await this.user.linkWithCredential(credential);
+            await this.user.reload();
+            this.handleAuthState(auth.currentUser);
+        } catch (error) {
+            if (error.code !== 'auth/email-already-in-use') throw error;
+            
+            await this.switchAccount(() => auth.signInWithEmailAndPassword(email, password));
+        }
+    }
+
+    async switchAccount(signIn) {
+        // Read the anonymous history while we can still access it
+        const fromUid = this.uid;
+        const history = this.user.isAnonymous
+            ? await storageManager.getData(`users/${fromUid}/history`)
+            : null;
+        
+        await signIn();
+        
+        if (history) {
+            await database.ref(`users/${auth.currentUser.uid}/history`).update(history);
+            console.log(`🔑 Merged ${Object.keys(history).length} history items into the account`);
+        }
+    }
+
+    async signOut() {
+        // Signing out drops back to a fresh anonymous account
+        await auth.signOut();
+    }
+
+    getDisplayName() {
+        return this.user ? this.user.displayName : null;
+    }
+
+    async setDisplayName(name) {
+        if (!this.user) return;
+        
+        try {
+            await this.user.updateProfile({ displayName: name });
+        } catch (error) {
+            console.error('Profile update error:', error);
+        }
+    }
+}
+
+const authManager = new AuthManager();
+
 // ========================
 // Room Manager
 // ========================
@@ -209,41 +482,63 @@ class RoomManager {
         return id;
     }
 
+    generateToken() {
+        // 128 random bits - unlike a room code, can't be brute-forced
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    generateTokens() {
+        return {
+            inviteToken: this.generateToken(),
+            spectatorToken: this.generateToken()
+        };
+    }
+
     async roomExists(roomId) {
         const room = await storageManager.getData(`rooms/${roomId}`);
         return room !== null;
     }
 
+    // Each user's history lives under their own uid: users/{uid}/history/{roomId}
+    async getHistoryPath() {
+        const uid = await authManager.ready();
+        return `users/${uid}/history`;
+    }
+
+    // Default grid size / position from the settings screen - also per user
+    async getSettingsPath() {
+        const uid = await authManager.ready();
+        return `users/${uid}/grid_settings`;
+    }
+
     async saveToHistory(roomId, roomName, imageUrl) {
         try {
-            const history = await storageManager.getData('room_history') || [];
-            
-            // Check if room already in history
-            const existingIndex = history.findIndex(item => item.roomId === roomId);
+            const path = await this.getHistoryPath();
+            const existing = await storageManager.getData(`${path}/${roomId}`);
             
             const historyItem = {
                 roomId,
                 name: roomName || `תשבץ ${new Date().toLocaleDateString('he-IL')}`,
                 imageUrl,
                 lastAccessed: Date.now(),
-                createdAt: existingIndex >= 0 ? history[existingIndex].createdAt : Date.now(),
-                finished: existingIndex >= 0 ? history[existingIndex].finished : false
+                createdAt: existing ? existing.createdAt : Date.now(),
+                finished: existing ? !!existing.finished : false
             };
             
-            if (existingIndex >= 0) {
-                // Update existing
-                history[existingIndex] = historyItem;
-            } else {
-                // Add new
-                history.unshift(historyItem);
+            if (existing && existing.finishedAt) {
+                historyItem.finishedAt = existing.finishedAt;
+                historyItem.revealCount = existing.revealCount;
             }
             
+            await storageManager.saveData(`${path}/${roomId}`, historyItem);
+            
             // Keep only last 50 rooms
-            if (history.length > 50) {
-                history.splice(50);
+            const history = await this.getHistory();
+            for (const item of history.slice(50)) {
+                await storageManager.deleteData(`${path}/${item.roomId}`);
             }
             
-            await storageManager.saveData('room_history', history);
             return { success: true };
         } catch (error) {
             console.error('Save to history error:', error);
@@ -253,13 +548,18 @@ class RoomManager {
 
     async markRoomAsFinished(roomId) {
         try {
-            const history = await storageManager.getData('room_history') || [];
-            const roomIndex = history.findIndex(item => item.roomId === roomId);
+            const path = await this.getHistoryPath();
+            const item = await storageManager.getData(`${path}/${roomId}`);
             
-            if (roomIndex >= 0) {
-                history[roomIndex].finished = true;
-                history[roomIndex].finishedAt = Date.now();
-                await storageManager.saveData('room_history', history);
+            if (item) {
+                // Solved clean = no cell was revealed from the solution key
+                const reveals = await storageManager.getData(`rooms/${roomId}/reveals`);
+                
+                await database.ref(`${path}/${roomId}`).update({
+                    finished: true,
+                    finishedAt: Date.now(),
+                    revealCount: reveals ? Object.keys(reveals).length : 0
+                });
                 return { success: true };
             }
             
@@ -272,8 +572,11 @@ class RoomManager {
 
     async getHistory() {
         try {
-            const history = await storageManager.getData('room_history') || [];
-            return history;
+            const path = await this.getHistoryPath();
+            const history = await storageManager.getData(path) || {};
+            
+            // Most recently opened first
+            return Object.values(history).sort((a, b) => b.lastAccessed - a.lastAccessed);
         } catch (error) {
             console.error('Get history error:', error);
             return [];
@@ -282,18 +585,42 @@ class RoomManager {
 
     async deleteFromHistory(roomId) {
         try {
-            const history = await storageManager.getData('room_history') || [];
-            const filtered = history.filter(item => item.roomId !== roomId);
-            await storageManager.saveData('room_history', filtered);
-            return { success: true };
+            const path = await this.getHistoryPath();
+            return await storageManager.deleteData(`${path}/${roomId}`);
         } catch (error) {
             console.error('Delete from history error:', error);
             return { success: false };
         }
     }
 
-    async createRoom(crosswordFile, detectedGridData, detectedGridSettings, roomName) {
+    async addMember(roomId, invite = {}) {
+        // Persistent record of who took part, used to name contributors and for access rules
+        const uid = await authManager.ready();
+        const ref = database.ref(`rooms/${roomId}/members/${uid}`);
+        const existing = (await ref.once('value')).val();
+        
+        if (existing) {
+            // Rejoining keeps the role we were given
+            await ref.update({ name: presenceManager.getDisplayName() });
+            return;
+        }
+        
+        // The rules compare it with roomSecrets - kept under our own user so other members can't read it
+        if (invite.token) {
+            await database.ref(`users/${uid}/invites/${roomId}`).set(invite.token);
+        }
+        
+        await ref.set({
+            name: presenceManager.getDisplayName(),
+            joinedAt: Date.now(),
+            role: invite.role === 'spectator' ? 'spectator' : 'player'
+        });
+    }
+
+    // crosswordFile may be null for rooms imported from a puzzle file (no photo)
+    async createRoom(crosswordFile, detectedGridData, detectedGridSettings, roomName, visibility = 'public', clues = null) {
         try {
+            const uid = await authManager.ready();
             let roomId = this.generateRoomId();
             let attempts = 0;
             
@@ -308,14 +635,18 @@ class RoomManager {
             }
 
             // Upload image to Firebase Storage
-            const uploadResult = await storageManager.uploadImage(roomId, crosswordFile);
-            
-            if (!uploadResult.success) {
-                throw new Error('IMAGE_UPLOAD_FAILED');
+            let imageUrl = null;
+            if (crosswordFile) {
+                const uploadResult = await storageManager.uploadImage(roomId, crosswordFile);
+                
+                if (!uploadResult.success) {
+                    throw new Error('IMAGE_UPLOAD_FAILED');
+                }
+                imageUrl = uploadResult.url;
             }
 
             // Use detected grid data if provided, otherwise fallback to default
-            const gridSettings = detectedGridSettings || await storageManager.getData('grid_settings') || {
+            const gridSettings = detectedGridSettings || await storageManager.getData(await this.getSettingsPath()) || {
                 rows: 11,
                 cols: 11,
                 position: { right: 10, top: 10, width: 80, height: 80 }
@@ -326,11 +657,19 @@ class RoomManager {
             const room = {
                 id: roomId,
                 name: roomName || 'תשבץ',
-                crosswordImageUrl: uploadResult.url,
+                crosswordImageUrl: imageUrl,
                 grid: gridData,
                 gridSettings: gridSettings,
-                participants: 1,
-                createdAt: Date.now()
+                clues: clues,
+                createdBy: uid,
+                createdAt: Date.now(),
+                members: {
+                    [uid]: { name: presenceManager.getDisplayName(), joinedAt: Date.now(), role: 'creator' }
+                },
+                access: {
+                    visibility,
+                    locked: false
+                }
             };
 
             const result = await storageManager.saveData(`rooms/${roomId}`, room);
@@ -338,6 +677,13 @@ class RoomManager {
             if (!result.success) {
                 throw new Error('SAVE_FAILED');
             }
+            
+            // Invite tokens live apart from the room - only the creator can read them
+            const secrets = await storageManager.saveData(`roomSecrets/${roomId}`, this.generateTokens());
+            
+            if (!secrets.success) {
+                throw new Error('SAVE_FAILED');
+            }
 
             this.currentRoom = room;
             this.currentRoomId = roomId;
@@ -375,7 +721,8 @@ class RoomManager {
         return grid;
     }
 
-    async joinRoom(roomId) {
+    // invite: { token, role } from an invite link
+    async joinRoom(roomId, invite = {}) {
         try {
             roomId = roomId.toUpperCase().trim();
             
@@ -383,15 +730,36 @@ class RoomManager {
                 throw new Error('INVALID_FORMAT');
             }
 
-            const room = await storageManager.getData(`rooms/${roomId}`);
+            const roomRef = database.ref(`rooms/${roomId}`);
+            await authManager.ready();
+            
+            // Invite-only rooms can't be read until we're a member
+            let room = null;
+            let isPrivate = false;
+            try {
+                room = (await roomRef.once('value')).val();
+            } catch (error) {
+                isPrivate = true;
+            }
+            
+            if (isPrivate && !invite.token) {
+                throw new Error('ROOM_PRIVATE');
+            }
             
-            if (!room) {
+            if (!isPrivate && !room) {
                 throw new Error('ROOM_NOT_FOUND');
             }
 
-            // Increment participants
-            room.participants++;
-            await storageManager.saveData(`rooms/${roomId}`, room);
+            try {
+                await this.addMember(roomId, invite);
+            } catch (error) {
+                console.error('Join denied:', error);
+                throw new Error('ACCESS_DENIED');
+            }
+            
+            if (isPrivate) {
+                room = (await roomRef.once('value')).val();
+            }
 
             this.currentRoom = room;
             this.currentRoomId = roomId;
@@ -401,6 +769,8 @@ class RoomManager {
             const messages = {
                 'INVALID_FORMAT': 'קוד החדר לא תקין. בדוק שוב.',
                 'ROOM_NOT_FOUND': 'החדר לא נמצא. בדוק את הקוד.',
+                'ROOM_PRIVATE': 'החדר פרטי - צריך קישור הזמנה 🔐',
+                'ACCESS_DENIED': 'אין לך גישה לחדר הזה'
             };
             
             return {
@@ -410,16 +780,85 @@ class RoomManager {
         }
     }
 
-    async updateCell(roomId, row, col, letter) {
+    isNewerEdit(cellData, editedAt, author) {
+        // Last writer wins: the stored (server) time against our estimate of when the edit was made;
+        // equal timestamps are broken by author ID
+        if (!cellData || !cellData.timestamp) return false;
+        if (cellData.timestamp !== editedAt) return cellData.timestamp > editedAt;
+        return (cellData.author || '') > author;
+    }
+
+    async updateCell(roomId, row, col, letter, editedAt = connectionMonitor.serverNow()) {
+        try {
+            // Transaction so concurrent writers see each other's value instead of clobbering it
+            const result = await database.ref(`rooms/${roomId}/grid/${row}/${col}`).transaction((cellData) => {
+                // Not cached yet - write nothing, so the server answers with the real cell and we run again.
+                // (Aborting here would drop the edit without ever asking the server)
+                if (cellData === null) return null;
+                if (this.isNewerEdit(cellData, editedAt, CLIENT_ID)) return; // Abort - remote edit wins
+                
+                return {
+                    ...cellData,
+                    letter: letter,
+                    author: CLIENT_ID,
+                    uid: authManager.uid,
+                    timestamp: firebase.database.ServerValue.TIMESTAMP
+                };
+            }, undefined, false); // Don't raise the intermediate local runs - the grid already shows the letter
+            
+            // The cell is missing on the server too - nothing was written
+            if (!result.snapshot.exists()) {
+                return { success: true, committed: false };
+            }
+            
+            return { success: true, committed: result.committed };
+        } catch (error) {
+            console.error('Cell update error:', error);
+            return { success: false };
+        }
+    }
+
+    async revealCell(roomId, row, col, letter) {
         try {
             await database.ref(`rooms/${roomId}/grid/${row}/${col}`).update({
                 letter: letter,
+                author: CLIENT_ID,
+                uid: authManager.uid,
+                timestamp: firebase.database.ServerValue.TIMESTAMP,
+                revealed: true
+            });
+            
+            // Keep a record of every reveal for the room history
+            await database.ref(`rooms/${roomId}/reveals`).push({
+                row,
+                col,
+                author: CLIENT_ID,
                 timestamp: Date.now()
             });
             
             return { success: true };
         } catch (error) {
-            console.error('Cell update error:', error);
+            console.error('Cell reveal error:', error);
+            return { success: false };
+        }
+    }
+
+    async markRoomStatusFinished(roomId) {
+        try {
+            // Transaction so simultaneous finishers don't overwrite each other
+            const result = await database.ref(`rooms/${roomId}/status`).transaction((status) => {
+                if (status && status.finished) return; // Abort - already finished
+                
+                return {
+                    finished: true,
+                    finishedAt: Date.now(),
+                    finishedBy: CLIENT_ID
+                };
+            });
+            
+            return { success: true, committed: result.committed };
+        } catch (error) {
+            console.error('Room status error:', error);
             return { success: false };
         }
     }
@@ -428,16 +867,10 @@ class RoomManager {
         try {
             // Stop listening to updates
             if (this.roomListener) {
-                storageManager.offDataChange(`rooms/${roomId}`);
+                this.roomListener.forEach(ref => ref.off());
                 this.roomListener = null;
             }
 
-            const room = await storageManager.getData(`rooms/${roomId}`);
-            if (room) {
-                room.participants = Math.max(0, room.participants - 1);
-                await storageManager.saveData(`rooms/${roomId}`, room);
-            }
-            
             this.currentRoomId = null;
             this.currentRoom = null;
         } catch (error) {
@@ -445,67 +878,537 @@ class RoomManager {
         }
     }
 
-    // Listen for real-time updates to room
-    listenToRoom(roomId, callback) {
-        this.roomListener = true;
-        storageManager.onDataChange(`rooms/${roomId}`, callback);
+    // Listen for real-time updates to room - per cell, so a keystroke only
+    // downloads the cell that changed instead of the whole room.
+    // name and gridSettings are written once with the room (database.rules.json),
+    // and access has its own listener in AccessManager
+    listenToRoom(roomId, rows, { onCellChange, onStatusChange }) {
+        const refs = [];
+        
+        for (let row = 0; row < rows; row++) {
+            const rowRef = database.ref(`rooms/${roomId}/grid/${row}`);
+            const handleCell = (snapshot) => {
+                onCellChange(row, parseInt(snapshot.key), snapshot.val());
+            };
+            
+            // child_added also delivers the current state of every cell once
+            rowRef.on('child_added', handleCell);
+            rowRef.on('child_changed', handleCell);
+            refs.push(rowRef);
+        }
+        
+        const statusRef = database.ref(`rooms/${roomId}/status`);
+        statusRef.on('value', (snapshot) => onStatusChange(snapshot.val()));
+        refs.push(statusRef);
+        
+        this.roomListener = refs;
     }
 }
 
 const roomManager = new RoomManager();
 
 // ========================
-// Grid Detector (OpenCV)
+// Presence
 // ========================
 
-class GridDetector {
+const PRESENCE_COLORS = ['#E8744F', '#4A7C9C', '#6BA96A', '#F4B942', '#9B59B6', '#E05757', '#1ABC9C', '#D35400'];
+
+class PresenceManager {
     constructor() {
-        this.GRID_SIZE = 11; // Always 11x11
-        this.BLOCK_THRESHOLD = 100; // Pixel intensity threshold for black cells
+        this.roomId = null;
+        this.ref = null;
+        this.participants = {};
+        this.listEl = document.getElementById('participants-list');
+        this.countEl = document.getElementById('participants-count');
+        
+        // onDisconnect handlers fire on the server when the connection drops,
+        // so re-register every time the connection comes back
+        connectionMonitor.onConnected(() => this.register());
     }
 
-    async waitForOpenCV() {
-        return new Promise((resolve) => {
-            if (typeof cv !== 'undefined') {
-                resolve();
-            } else {
-                const checkInterval = setInterval(() => {
-                    if (typeof cv !== 'undefined') {
-                        clearInterval(checkInterval);
-                        resolve();
-                    }
-                }, 100);
-            }
-        });
+    getDisplayName() {
+        // Signed-in accounts carry their name with them
+        const accountName = authManager.getDisplayName();
+        if (accountName) return accountName;
+        
+        let name = localStorage.getItem('displayName');
+        if (!name) {
+            name = `אורח ${Math.floor(Math.random() * 90) + 10}`;
+            localStorage.setItem('displayName', name);
+        }
+        return name;
     }
 
-    async detectGrid(imageElement) {
-        await this.waitForOpenCV();
+    setDisplayName(name) {
+        localStorage.setItem('displayName', name);
+        authManager.setDisplayName(name);
+        if (this.ref) {
+            this.ref.update({ name });
+            database.ref(`rooms/${this.roomId}/members/${authManager.uid}`).update({ name });
+        }
+    }
+
+    getInitials(name) {
+        return (name || '?')
+            .split(/\s+/)
+            .filter(Boolean)
+            .slice(0, 2)
+            .map(word => word.charAt(0))
+            .join('');
+    }
+
+    updateCursor(row, col, direction) {
+        // Publish our active cell so teammates can see where we're working
+        if (!this.ref) return;
+        
+        const cursor = row === null ? null : { row, col, direction };
+        const key = JSON.stringify(cursor);
+        if (key === this.lastCursorKey) return;
+        
+        this.lastCursorKey = key;
+        this.ref.update({ cursor });
+    }
+
+    getColor() {
+        let hash = 0;
+        for (const char of CLIENT_ID) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return PRESENCE_COLORS[hash % PRESENCE_COLORS.length];
+    }
+
+    async join(roomId) {
+        this.leave();
+        
+        this.roomId = roomId;
+        this.lastCursorKey = null;
+        this.ref = database.ref(`rooms/${roomId}/presence/${CLIENT_ID}`);
+        
+        database.ref(`rooms/${roomId}/presence`).on('value', (snapshot) => {
+            this.participants = snapshot.val() || {};
+            this.render();
+        });
+        
+        await this.register();
+    }
 
+    async register() {
+        if (!this.ref) return;
+        
         try {
-            // Load image into OpenCV Mat
-            const src = cv.imread(imageElement);
-            
-            // Convert to grayscale
-            const gray = new cv.Mat();
-            cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
-            
-            // Apply adaptive thresholding to handle lighting/shadows
-            const thresh = new cv.Mat();
-            cv.adaptiveThreshold(
-                gray, 
-                thresh, 
-                255, 
-                cv.ADAPTIVE_THRESH_GAUSSIAN_C, 
-                cv.THRESH_BINARY_INV, 
-                11, 
-                2
-            );
-            
-            // Find contours
-            const contours = new cv.MatVector();
-            const hierarchy = new cv.Mat();
-            cv.findContours(
+            await this.ref.onDisconnect().remove();
+            await this.ref.set({
+                name: this.getDisplayName(),
+                uid: authManager.uid,
+                color: this.getColor(),
+                cursor: this.lastCursorKey ? JSON.parse(this.lastCursorKey) : null,
+                joinedAt: firebase.database.ServerValue.TIMESTAMP
+            });
+        } catch (error) {
+            console.error('Presence error:', error);
+        }
+    }
+
+    leave() {
+        if (!this.ref) return;
+        
+        database.ref(`rooms/${this.roomId}/presence`).off('value');
+        this.ref.onDisconnect().cancel();
+        this.ref.remove();
+        
+        this.ref = null;
+        this.roomId = null;
+        this.lastCursorKey = null;
+        this.participants = {};
+        this.render();
+    }
+
+    render() {
+        const entries = Object.entries(this.participants);
+        this.countEl.textContent = entries.length;
+        this.listEl.innerHTML = '';
+        
+        entries.forEach(([clientId, participant]) => {
+            const badge = document.createElement('span');
+            badge.className = 'participant-badge';
+            badge.classList.toggle('is-self', clientId === CLIENT_ID);
+            badge.style.background = participant.color || PRESENCE_COLORS[0];
+            badge.textContent = (participant.name || '?').charAt(0);
+            badge.title = clientId === CLIENT_ID ? `${participant.name} (אתה)` : participant.name;
+            this.listEl.appendChild(badge);
+        });
+        
+        // Teammates' selections on the grid
+        if (app && app.crosswordGrid.grid) {
+            app.crosswordGrid.renderRemoteCursors(this.participants);
+        }
+    }
+}
+
+const presenceManager = new PresenceManager();
+window.presenceManager = presenceManager; // Make available globally for shared-drawing-v2.js
+
+// ========================
+// Room Access (visibility, roles, kick / lock)
+// ========================
+
+class AccessManager {
+    constructor() {
+        this.roomId = null;
+        this.createdBy = null;
+        this.access = {}; // { visibility, locked, kicked }
+        this.secrets = {}; // { inviteToken, spectatorToken } - readable by the creator only
+        this.ownInvite = null; // The token we joined with, so members can pass the link on
+        this.members = {};
+        this.role = 'player';
+        this.joined = false; // Seen our own member entry - its removal means we were kicked
+        this.refs = [];
+        
+        this.button = document.getElementById('access-btn');
+        this.badge = document.getElementById('access-badge');
+        this.dialog = document.getElementById('access-dialog');
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.button.addEventListener('click', () => {
+            this.render();
+            this.dialog.classList.remove('hidden');
+        });
+
+        document.getElementById('access-close').addEventListener('click', () => {
+            this.dialog.classList.add('hidden');
+        });
+
+        document.getElementById('access-visibility').addEventListener('change', (e) => {
+            this.setVisibility(e.target.value);
+        });
+
+        document.getElementById('access-locked').addEventListener('change', (e) => {
+            this.setLocked(e.target.checked);
+        });
+
+        document.getElementById('copy-invite-link').addEventListener('click', () => {
+            this.copyLink('player');
+        });
+
+        document.getElementById('copy-spectator-link').addEventListener('click', () => {
+            this.copyLink('spectator');
+        });
+    }
+
+    initialize(roomId, room) {
+        this.destroy();
+        
+        this.roomId = roomId;
+        this.createdBy = room.createdBy;
+        this.access = room.access || {};
+        this.members = room.members || {};
+        this.role = this.getOwnRole();
+        this.joined = !!this.members[authManager.uid];
+        
+        this.button.classList.toggle('hidden', !this.isCreator());
+        
+        // Rooms created before accounts store the device ID, which the database rules can't check
+        if (this.createdBy === USER_ID) {
+            notifier.warning('החדר נוצר לפני המעבר לחשבונות - ניהול הגישה ומפתח הפתרון אינם זמינים בו');
+        }
+        
+        // Older rooms kept their tokens in access, readable by every member - replace them
+        if (this.isCreator() && (this.access.inviteToken || this.access.spectatorToken)) {
+            this.rotateTokens({ inviteToken: null, spectatorToken: null })
+                .catch(error => console.error('Token migration error:', error));
+        }
+        
+        const accessRef = database.ref(`rooms/${roomId}/access`);
+        accessRef.on('value', (snapshot) => {
+            this.access = snapshot.val() || {};
+            this.render();
+        });
+        
+        const secretsRef = database.ref(this.isCreator() ? `roomSecrets/${roomId}` : `users/${authManager.uid}/invites/${roomId}`);
+        secretsRef.on('value', (snapshot) => {
+            if (this.isCreator()) {
+                this.secrets = snapshot.val() || {};
+            } else {
+                this.ownInvite = snapshot.val();
+            }
+        });
+        
+        const membersRef = database.ref(`rooms/${roomId}/members`);
+        membersRef.on('value', (snapshot) => {
+            this.members = snapshot.val() || {};
+            
+            if (this.members[authManager.uid]) {
+                this.joined = true;
+            } else if (this.joined) {
+                this.handleKicked();
+                return;
+            }
+            
+            this.role = this.getOwnRole();
+            this.render();
+        }, () => {
+            // Invite-only rooms stop being readable once we're removed
+            if (this.joined) this.handleKicked();
+        });
+        
+        this.refs = [accessRef, secretsRef, membersRef];
+        this.render();
+    }
+
+    destroy() {
+        this.refs.forEach(ref => ref.off());
+        this.refs = [];
+        this.roomId = null;
+        this.access = {};
+        this.secrets = {};
+        this.ownInvite = null;
+        this.members = {};
+        this.role = 'player';
+        this.joined = false;
+        this.button.classList.add('hidden');
+        this.badge.classList.add('hidden');
+        this.dialog.classList.add('hidden');
+    }
+
+    isCreator() {
+        return !!this.createdBy && this.createdBy === authManager.uid;
+    }
+
+    getOwnRole() {
+        if (this.isCreator()) return 'creator';
+        const member = this.members[authManager.uid];
+        return (member && member.role) || 'player';
+    }
+
+    canEdit() {
+        if (this.role === 'spectator') return false;
+        if (this.access.locked && !this.isCreator()) return false;
+        return true;
+    }
+
+    // Returns true if this user may type / draw right now, otherwise explains why not
+    guardEdit() {
+        if (!this.roomId || this.canEdit()) return true;
+        
+        notifier.warning(this.role === 'spectator'
+            ? 'אתה צופה - אי אפשר לכתוב או לצייר'
+            : 'הרשת נעולה על ידי יוצר החדר 🔒');
+        return false;
+    }
+
+    handleKicked() {
+        console.log('🚫 Removed from room');
+        notifier.error('הוצאת מהחדר');
+        this.destroy();
+        app.leaveRoom();
+    }
+
+    getInviteLink(role) {
+        // #/room/ABC123?invite=<token>[&as=spectator]
+        const token = !this.isCreator()
+            ? this.ownInvite
+            : (role === 'spectator' ? this.secrets.spectatorToken : this.secrets.inviteToken);
+        const params = new URLSearchParams();
+        if (token) params.set('invite', token);
+        if (role === 'spectator') params.set('as', 'spectator');
+        return app.getRoomLink(this.roomId, params);
+    }
+
+    async copyLink(role) {
+        try {
+            await navigator.clipboard.writeText(this.getInviteLink(role));
+            notifier.success(role === 'spectator' ? 'קישור צפייה הועתק!' : 'קישור הזמנה הועתק!');
+        } catch (error) {
+            notifier.error('לא הצלחנו להעתיק');
+        }
+    }
+
+    // New tokens cancel every link sent so far - members who already joined stay
+    async rotateTokens(accessChanges = {}) {
+        const updates = { [`roomSecrets/${this.roomId}`]: roomManager.generateTokens() };
+        for (const [key, value] of Object.entries(accessChanges)) {
+            updates[`rooms/${this.roomId}/access/${key}`] = value;
+        }
+        
+        await database.ref().update(updates);
+    }
+
+    async setVisibility(visibility) {
+        try {
+            if (visibility === 'invite') {
+                // Links shared while the room was public must not keep working
+                await this.rotateTokens({ visibility });
+            } else {
+                await database.ref(`rooms/${this.roomId}/access/visibility`).set(visibility);
+            }
+            notifier.success(visibility === 'invite' ? 'החדר בהזמנה בלבד 🔐' : 'החדר ציבורי');
+        } catch (error) {
+            console.error('Visibility error:', error);
+            notifier.error('לא הצלחנו לשנות את ההרשאות');
+        }
+    }
+
+    async setLocked(locked) {
+        try {
+            await database.ref(`rooms/${this.roomId}/access/locked`).set(locked);
+            notifier.success(locked ? 'הרשת ננעלה 🔒' : 'הרשת פתוחה לכתיבה');
+        } catch (error) {
+            console.error('Lock error:', error);
+            notifier.error('לא הצלחנו לנעול את הרשת');
+        }
+    }
+
+    async setRole(uid, role) {
+        try {
+            await database.ref(`rooms/${this.roomId}/members/${uid}/role`).set(role);
+        } catch (error) {
+            console.error('Role change error:', error);
+            notifier.error('לא הצלחנו לשנות תפקיד');
+        }
+    }
+
+    async kick(uid) {
+        const member = this.members[uid];
+        const isPublic = this.access.visibility !== 'invite';
+        const question = `להוציא את ${member ? member.name : 'המשתתף'} מהחדר?` +
+            (isPublic ? '\nהחדר יעבור להזמנה בלבד, כדי שלא יוכל לחזור.' : '');
+        if (!confirm(question)) return;
+        
+        // Blocked from rejoining, and their presence disappears right away.
+        // A new anonymous account gets past access/kicked, so the invite tokens change too -
+        // and a public room (which needs no token) becomes invite-only
+        const room = `rooms/${this.roomId}`;
+        const updates = {
+            [`${room}/access/kicked/${uid}`]: true,
+            [`${room}/members/${uid}`]: null,
+            [`roomSecrets/${this.roomId}`]: roomManager.generateTokens()
+        };
+        
+        if (isPublic) updates[`${room}/access/visibility`] = 'invite';
+        
+        for (const [clientId, participant] of Object.entries(presenceManager.participants)) {
+            if (participant.uid === uid) updates[`${room}/presence/${clientId}`] = null;
+        }
+        
+        try {
+            await database.ref().update(updates);
+            notifier.success(isPublic
+                ? 'המשתתף הוצא והחדר עבר להזמנה בלבד - שלח קישור חדש למי שצריך להצטרף'
+                : 'המשתתף הוצא מהחדר - קישורי ההזמנה הקודמים בוטלו');
+        } catch (error) {
+            console.error('Kick error:', error);
+            notifier.error('לא הצלחנו להוציא את המשתתף');
+        }
+    }
+
+    render() {
+        // Header badge for restricted users
+        const labels = [];
+        if (this.role === 'spectator') labels.push('👁️ צופה');
+        if (this.access.locked) labels.push('🔒 נעול');
+        this.badge.textContent = labels.join(' · ');
+        this.badge.classList.toggle('hidden', labels.length === 0);
+        
+        if (!this.isCreator()) return;
+        
+        document.getElementById('access-visibility').value = this.access.visibility || 'public';
+        document.getElementById('access-locked').checked = !!this.access.locked;
+        
+        const list = document.getElementById('access-members');
+        list.innerHTML = '';
+        
+        for (const [uid, member] of Object.entries(this.members)) {
+            if (uid === authManager.uid) continue;
+            
+            const item = document.createElement('li');
+            item.className = 'access-member';
+            
+            const name = document.createElement('span');
+            name.textContent = member.name;
+            item.appendChild(name);
+            
+            const role = document.createElement('select');
+            role.innerHTML = '<option value="player">משתתף</option><option value="spectator">צופה</option>';
+            role.value = member.role === 'spectator' ? 'spectator' : 'player';
+            role.addEventListener('change', () => this.setRole(uid, role.value));
+            item.appendChild(role);
+            
+            const kick = document.createElement('button');
+            kick.className = 'access-kick';
+            kick.textContent = 'הוצא';
+            kick.addEventListener('click', () => this.kick(uid));
+            item.appendChild(kick);
+            
+            list.appendChild(item);
+        }
+        
+        if (!list.children.length) {
+            const empty = document.createElement('li');
+            empty.className = 'access-empty';
+            empty.textContent = 'אין עדיין משתתפים נוספים';
+            list.appendChild(empty);
+        }
+    }
+}
+
+const accessManager = new AccessManager();
+
+// ========================
+// Grid Detector (OpenCV)
+// ========================
+
+class GridDetector {
+    constructor() {
+        this.GRID_SIZE = 11; // Fallback when grid lines can't be counted
+        this.MIN_GRID_SIZE = MIN_PUZZLE_SIZE; // Limits from puzzle-formats.js
+        this.MAX_GRID_SIZE = MAX_PUZZLE_SIZE;
+        this.BLOCK_THRESHOLD = 100; // Pixel intensity threshold for black cells
+    }
+
+    async waitForOpenCV() {
+        return new Promise((resolve) => {
+            if (typeof cv !== 'undefined') {
+                resolve();
+            } else {
+                const checkInterval = setInterval(() => {
+                    if (typeof cv !== 'undefined') {
+                        clearInterval(checkInterval);
+                        resolve();
+                    }
+                }, 100);
+            }
+        });
+    }
+
+    async detectGrid(imageElement) {
+        await this.waitForOpenCV();
+
+        try {
+            // Load image into OpenCV Mat
+            const src = cv.imread(imageElement);
+            
+            // Convert to grayscale
+            const gray = new cv.Mat();
+            cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY, 0);
+            
+            // Apply adaptive thresholding to handle lighting/shadows
+            const thresh = new cv.Mat();
+            cv.adaptiveThreshold(
+                gray, 
+                thresh, 
+                255, 
+                cv.ADAPTIVE_THRESH_GAUSSIAN_C, 
+                cv.THRESH_BINARY_INV, 
+                11, 
+                2
+            );
+            
+            // Find contours
+            const contours = new cv.MatVector();
+            const hierarchy = new cv.Mat();
+            cv.findContours(
                 thresh, 
                 contours, 
                 hierarchy, 
@@ -549,11 +1452,14 @@ class GridDetector {
             const warpedSize = 550; // Output size
             const warped = this.fourPointTransform(src, corners, warpedSize);
             
+            // Count rows and columns from the grid lines
+            const { rows, cols } = this.detectGridDimensions(warped);
+            
             // Detect black cells
-            const gridData = this.detectBlackCells(warped, this.GRID_SIZE);
+            const gridData = this.detectBlackCells(warped, rows, cols);
             
             // Calculate grid positioning relative to image
-            const gridSettings = this.calculateGridPosition(corners, src.cols, src.rows);
+            const gridSettings = this.calculateGridPosition(corners, src.cols, src.rows, rows, cols);
             
             // Cleanup
             src.delete();
@@ -657,34 +1563,125 @@ class GridDetector {
         return warped;
     }
 
-    detectBlackCells(warpedImage, gridSize) {
+    detectGridDimensions(warpedImage) {
+        // Count grid lines using projection profiles of the warped (square) grid
+        const gray = new cv.Mat();
+        cv.cvtColor(warpedImage, gray, cv.COLOR_RGBA2GRAY, 0);
+        
+        // Adaptive threshold keeps thin lines and only the edges of solid black cells
+        const binary = new cv.Mat();
+        cv.adaptiveThreshold(
+            gray,
+            binary,
+            255,
+            cv.ADAPTIVE_THRESH_GAUSSIAN_C,
+            cv.THRESH_BINARY_INV,
+            15,
+            5
+        );
+        
+        const width = binary.cols;
+        const height = binary.rows;
+        const rowProfile = new Array(height).fill(0);
+        const colProfile = new Array(width).fill(0);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (binary.data[y * width + x] > 0) {
+                    rowProfile[y]++;
+                    colProfile[x]++;
+                }
+            }
+        }
+        
+        gray.delete();
+        binary.delete();
+        
+        let rows = this.countCellsFromProfile(rowProfile, height);
+        let cols = this.countCellsFromProfile(colProfile, width);
+        
+        console.log(`📐 Detected grid lines: ${rows} rows × ${cols} cols`);
+        
+        if (!rows || rows < this.MIN_GRID_SIZE || rows > this.MAX_GRID_SIZE) {
+            console.warn(`⚠️ Row count ${rows} out of range, falling back to ${this.GRID_SIZE}`);
+            rows = this.GRID_SIZE;
+        }
+        
+        if (!cols || cols < this.MIN_GRID_SIZE || cols > this.MAX_GRID_SIZE) {
+            console.warn(`⚠️ Column count ${cols} out of range, falling back to ${this.GRID_SIZE}`);
+            cols = this.GRID_SIZE;
+        }
+        
+        return { rows, cols };
+    }
+
+    countCellsFromProfile(profile, span) {
+        const peak = Math.max(...profile);
+        if (peak === 0) return null;
+        
+        // A grid line covers most of the grid, so it stands out in the profile
+        const threshold = peak * 0.5;
+        
+        // Collapse each run of strong rows/columns into a single line center
+        const lines = [];
+        let runStart = -1;
+        
+        for (let i = 0; i <= profile.length; i++) {
+            const isStrong = i < profile.length && profile[i] >= threshold;
+            
+            if (isStrong && runStart < 0) {
+                runStart = i;
+            } else if (!isStrong && runStart >= 0) {
+                lines.push((runStart + i - 1) / 2);
+                runStart = -1;
+            }
+        }
+        
+        if (lines.length < 2) return null;
+        
+        // Median spacing is robust to a missed or an extra line
+        const gaps = [];
+        for (let i = 1; i < lines.length; i++) {
+            gaps.push(lines[i] - lines[i - 1]);
+        }
+        gaps.sort((a, b) => a - b);
+        const medianGap = gaps[Math.floor(gaps.length / 2)];
+        
+        if (medianGap <= 0) return null;
+        
+        return Math.round(span / medianGap);
+    }
+
+    detectBlackCells(warpedImage, rows, cols) {
         console.log('🔍 BLACK CELL DETECTION STARTED (NEW METHOD: BRIGHTNESS COMPARISON)');
-        console.log('Grid size:', gridSize, 'Image size:', warpedImage.rows, 'x', warpedImage.cols);
+        console.log('Grid size:', rows, 'x', cols, 'Image size:', warpedImage.rows, 'x', warpedImage.cols);
         
         // Convert to grayscale
         const gray = new cv.Mat();
         cv.cvtColor(warpedImage, gray, cv.COLOR_RGBA2GRAY, 0);
         
-        const cellSize = warpedImage.rows / gridSize;
+        const cellWidth = warpedImage.cols / cols;
+        const cellHeight = warpedImage.rows / rows;
         
         // First pass: calculate average brightness of each cell
         const cellBrightness = [];
         
-        for (let row = 0; row < gridSize; row++) {
+        for (let row = 0; row < rows; row++) {
             const rowBrightness = [];
             
-            for (let col = 0; col < gridSize; col++) {
-                const cellStartX = Math.floor(col * cellSize);
-                const cellStartY = Math.floor(row * cellSize);
-                const cellEndX = Math.min(Math.floor((col + 1) * cellSize), gray.cols);
-                const cellEndY = Math.min(Math.floor((row + 1) * cellSize), gray.rows);
+            for (let col = 0; col < cols; col++) {
+                const cellStartX = Math.floor(col * cellWidth);
+                const cellStartY = Math.floor(row * cellHeight);
+                const cellEndX = Math.min(Math.floor((col + 1) * cellWidth), gray.cols);
+                const cellEndY = Math.min(Math.floor((row + 1) * cellHeight), gray.rows);
                 
                 // Check center 50% to avoid borders
-                const margin = cellSize * 0.25;
-                const startX = Math.floor(cellStartX + margin);
-                const startY = Math.floor(cellStartY + margin);
-                const endX = Math.floor(cellEndX - margin);
-                const endY = Math.floor(cellEndY - margin);
+                const marginX = cellWidth * 0.25;
+                const marginY = cellHeight * 0.25;
+                const startX = Math.floor(cellStartX + marginX);
+                const startY = Math.floor(cellStartY + marginY);
+                const endX = Math.floor(cellEndX - marginX);
+                const endY = Math.floor(cellEndY - marginY);
                 
                 let brightnessSum = 0;
                 let pixelCount = 0;
@@ -720,10 +1717,10 @@ class GridDetector {
         const grid = [];
         const threshold = avgBrightness * 0.4; // Black cells are less than 40% of average brightness
         
-        for (let row = 0; row < gridSize; row++) {
+        for (let row = 0; row < rows; row++) {
             const gridRow = [];
             
-            for (let col = 0; col < gridSize; col++) {
+            for (let col = 0; col < cols; col++) {
                 const brightness = cellBrightness[row][col];
                 const isBlack = brightness < threshold;
                 
@@ -749,13 +1746,13 @@ class GridDetector {
                 if (cell.isBlack) totalBlackCells++;
             }
         }
-        console.log(`Total black cells detected: ${totalBlackCells} out of 121`);
+        console.log(`Total black cells detected: ${totalBlackCells} out of ${rows * cols}`);
         
         gray.delete();
         return grid;
     }
 
-    calculateGridPosition(corners, imageWidth, imageHeight) {
+    calculateGridPosition(corners, imageWidth, imageHeight, rows, cols) {
         // Calculate bounding box of the grid
         const minX = Math.min(...corners.map(p => p.x));
         const maxX = Math.max(...corners.map(p => p.x));
@@ -769,8 +1766,8 @@ class GridDetector {
         const height = ((maxY - minY) / imageHeight) * 100;
         
         return {
-            rows: this.GRID_SIZE,
-            cols: this.GRID_SIZE,
+            rows,
+            cols,
             position: {
                 right: Math.round(right * 100) / 100,
                 top: Math.round(top * 100) / 100,
@@ -783,6 +1780,12 @@ class GridDetector {
 
 const gridDetector = new GridDetector();
 
+// ========================
+// Handwriting Recognition (providers in handwriting.js)
+// ========================
+
+const handwritingManager = new HandwritingManager();
+
 // ========================
 // Crossword Grid Manager
 // ========================
@@ -798,29 +1801,53 @@ class CrosswordGrid {
         this.lastClickTime = 0;
         this.doubleClickDelay = 300; // ms
         this.isTyping = false; // Track if in typing sequence
+        
+        // Letters marked wrong by a check, keyed by "row,col"
+        this.wrongLetters = new Map();
+        
+        // Cells with edits not yet confirmed by the server, "row,col" -> timestamp
+        this.pendingCells = new Map();
+        
+        // Local letter history (only this user's edits)
+        this.letterHistory = [];
+        this.letterRedoStack = [];
+        this.MAX_HISTORY = 100;
     }
 
     async initialize(roomId, gridData, gridSettings) {
         this.grid = gridData;
-        this.rows = gridData.length;
-        this.cols = gridData[0].length;
+        this.wrongLetters = new Map();
+        this.pendingCells = new Map();
+        this.letterHistory = [];
+        this.letterRedoStack = [];
+        this.rows = (gridSettings && gridSettings.rows) || gridData.length;
+        this.cols = (gridSettings && gridSettings.cols) || gridData[0].length;
+        this.gridSettings = gridSettings || null;
 
         // Wait for image to load to get its dimensions
         const imageContainer = document.getElementById('crossword-image-container');
         const image = document.getElementById('crossword-image');
+        const hasImage = !!image.getAttribute('src');
         
-        const imageLoaded = new Promise((resolve) => {
-            if (image.complete) {
-                resolve();
-            } else {
-                image.onload = () => resolve();
-            }
-        });
+        // Imported puzzles have no photo - the grid is drawn on its own
+        this.container.parentElement.classList.toggle('no-image', !hasImage);
+        this.container.style.aspectRatio = hasImage ? '' : `${this.cols} / ${this.rows}`;
         
-        await imageLoaded;
+        if (hasImage) {
+            await new Promise((resolve) => {
+                if (image.complete) {
+                    resolve();
+                } else {
+                    image.onload = () => resolve();
+                }
+            });
+        }
 
-        // Apply grid positioning relative to IMAGE, not container
-        if (gridSettings && gridSettings.position) {
+        if (!hasImage) {
+            ['right', 'top', 'width', 'height'].forEach(prop => { this.container.style[prop] = ''; });
+            this.originalDimensions = null;
+        } else if (gridSettings && gridSettings.position) {
+            // Apply grid positioning relative to IMAGE, not container
             const pos = gridSettings.position;
             const imageRect = image.getBoundingClientRect();
             const containerRect = imageContainer.getBoundingClientRect();
@@ -871,6 +1898,23 @@ class CrosswordGrid {
                 this.container.appendChild(cell);
             }
         }
+        
+        this.renderCellNumbers();
+    }
+
+    renderCellNumbers() {
+        // Small corner label in every cell that starts an across or down word
+        this.container.querySelectorAll('.cell-number').forEach(label => label.remove());
+        
+        this.getWordStarts().forEach(start => {
+            const cell = this.container.querySelector(`[data-row="${start.row}"][data-col="${start.col}"]`);
+            if (!cell || cell.querySelector('.cell-number')) return;
+            
+            const label = document.createElement('span');
+            label.className = 'cell-number';
+            label.textContent = start.number;
+            cell.appendChild(label);
+        });
     }
 
     createCell(roomId, row, col, cellData) {
@@ -1037,6 +2081,7 @@ class CrosswordGrid {
         // Handle keyboard input on PC (direct typing)
         document.addEventListener('keydown', async (e) => {
             if (this.isMobile()) return;
+            if (e.target.matches('input, textarea')) return;
             if (!this.activeCell) {
                 console.log('⚠️ No active cell for keyboard input');
                 return;
@@ -1196,7 +2241,7 @@ class CrosswordGrid {
             // Auto-recognize after delay
             recognitionTimeout = setTimeout(async () => {
                 if (strokes.length > 0) {
-                    await this.recognizeHandwriting(canvas, roomId, row, col);
+                    await this.recognizeHandwriting(strokes, canvas, roomId, row, col);
                     // Clear canvas
                     ctx.clearRect(0, 0, canvas.width, canvas.height);
                     strokes = [];
@@ -1215,88 +2260,35 @@ class CrosswordGrid {
         canvas.addEventListener('mouseup', endDrawing);
     }
 
-    async recognizeHandwriting(canvas, roomId, row, col) {
-        if (!CONFIG.AZURE_ENDPOINT || !CONFIG.AZURE_KEY) {
-            notifier.warning('זיהוי כתב יד לא מוגדר');
+    async recognizeHandwriting(strokes, canvas, roomId, row, col) {
+        const rect = canvas.getBoundingClientRect();
+        const { provider, candidates } = await handwritingManager.recognize({
+            strokes,
+            width: rect.width,
+            height: rect.height
+        });
+
+        if (candidates.length === 0) {
+            notifier.warning('לא הצלחנו לזהות את האות');
             return;
         }
 
-        try {
-            // Convert canvas to blob
-            const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
-            
-            // Call Azure Computer Vision API
-            const response = await fetch(
-                `${CONFIG.AZURE_ENDPOINT}/vision/v3.2/read/analyze`,
-                {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/octet-stream',
-                        'Ocp-Apim-Subscription-Key': CONFIG.AZURE_KEY
-                    },
-                    body: blob
-                }
-            );
+        console.log(`✍️ ${provider}:`, candidates.map(c => c.letter).join(' '));
+        await this.updateCell(roomId, row, col, candidates[0].letter);
+        
+        // Move to next cell
+        const next = this.getNextCell(row, col);
+        if (next) {
+            this.selectCell(roomId, next.row, next.col);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error('API_ERROR');
-            }
-
-            // Get operation location
-            const operationLocation = response.headers.get('Operation-Location');
-            
-            // Poll for results
-            let result;
-            let attempts = 0;
-            while (attempts < 10) {
-                await new Promise(resolve => setTimeout(resolve, 100));
-                
-                const resultResponse = await fetch(operationLocation, {
-                    headers: {
-                        'Ocp-Apim-Subscription-Key': CONFIG.AZURE_KEY
-                    }
-                });
-                
-                result = await resultResponse.json();
-                
-                if (result.status === 'succeeded') {
-                    break;
-                }
-                
-                attempts++;
-            }
-
-            if (result.status === 'succeeded' && result.analyzeResult?.readResults?.[0]?.lines?.length > 0) {
-                const text = result.analyzeResult.readResults[0].lines[0].text;
-                
-                // Extract first Hebrew character
-                const hebrewChar = text.match(HEBREW_RANGE);
-                if (hebrewChar) {
-                    await this.updateCell(roomId, row, col, hebrewChar[0]);
-                    
-                    // Move to next cell
-                    const next = this.getNextCell(row, col);
-                    if (next) {
-                        this.selectCell(roomId, next.row, next.col);
-                    }
-                } else {
-                    notifier.warning('לא זוהתה אות עברית');
-                }
-            } else {
-                notifier.warning('לא הצלחנו לזהות את האות');
-            }
-        } catch (error) {
-            console.error('Handwriting recognition error:', error);
-            notifier.error('שגיאה בזיהוי כתב יד');
-        }
-    }
-
-    selectCell(roomId, row, col) {
-        console.log(`🖱️ Cell clicked: [${row}, ${col}]`);
-        
-        // REMOVED: Double-click direction toggle completely
-        // Direction can ONLY be changed via the button now
-        // This prevents any accidental direction changes during typing
+    selectCell(roomId, row, col) {
+        console.log(`🖱️ Cell clicked: [${row}, ${col}]`);
+        
+        // REMOVED: Double-click direction toggle completely
+        // Direction can ONLY be changed via the button now
+        // This prevents any accidental direction changes during typing
 
         // Remove previous active state
         if (this.activeCell) {
@@ -1380,12 +2372,61 @@ class CrosswordGrid {
         
         // Clear word highlights
         this.clearWordHighlight();
+        
+        presenceManager.updateCursor(null);
+    }
+
+    renderRemoteCursors(participants) {
+        // Colored outlines for other users' active cell and word
+        this.container.querySelectorAll('.remote-cursor').forEach(el => el.remove());
+        
+        Object.entries(participants).forEach(([clientId, participant]) => {
+            const cursor = participant.cursor;
+            if (clientId === CLIENT_ID || !cursor) return;
+            if (cursor.row >= this.rows || cursor.col >= this.cols) return;
+            
+            const color = participant.color || PRESENCE_COLORS[0];
+            const wordCells = this.getWordCells(cursor.row, cursor.col, cursor.direction);
+            
+            wordCells.forEach(({r, c}) => {
+                this.addRemoteCursor(r, c, color, false);
+            });
+            
+            const activeMarker = this.addRemoteCursor(cursor.row, cursor.col, color, true);
+            if (activeMarker) {
+                const badge = document.createElement('span');
+                badge.className = 'remote-cursor-badge';
+                badge.style.background = color;
+                badge.textContent = presenceManager.getInitials(participant.name);
+                badge.title = participant.name;
+                activeMarker.appendChild(badge);
+            }
+        });
+    }
+
+    addRemoteCursor(row, col, color, isActive) {
+        const cell = this.container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        if (!cell || cell.classList.contains('black-cell')) return null;
+        
+        const marker = document.createElement('div');
+        marker.className = `remote-cursor ${isActive ? 'remote-cursor-active' : 'remote-cursor-word'}`;
+        marker.style.setProperty('--cursor-color', color);
+        cell.appendChild(marker);
+        
+        return marker;
     }
 
     highlightWord(row, col) {
         // Highlight all cells in the current direction until black cell or edge
         const cells = this.getWordCells(row, col);
         
+        // Highlight the matching clue in the clue panel
+        if (app && app.cluePanel) {
+            app.cluePanel.highlightClueForCell(row, col, this.currentDirection);
+        }
+        
+        presenceManager.updateCursor(row, col, this.currentDirection);
+        
         if (!this.highlightedCells) {
             this.highlightedCells = [];
         }
@@ -1412,10 +2453,10 @@ class CrosswordGrid {
         this.highlightedCells = [];
     }
 
-    getWordCells(row, col) {
+    getWordCells(row, col, direction = this.currentDirection) {
         const cells = [];
         
-        if (this.currentDirection === 'horizontal') {
+        if (direction === 'horizontal') {
             // Go right (col decreases)
             for (let c = col - 1; c >= 0; c--) {
                 if (this.grid[row][c].isBlack) break;
@@ -1444,6 +2485,55 @@ class CrosswordGrid {
         return cells;
     }
 
+    getWordStarts(grid = this.grid) {
+        // Standard numbering for Hebrew RTL layout: col 0 is the rightmost column,
+        // so an across word starts where the cell to its right is black or the edge
+        const rows = grid.length;
+        const cols = grid[0].length;
+        const isOpen = (r, c) => r >= 0 && r < rows && c >= 0 && c < cols && !grid[r][c].isBlack;
+        const starts = [];
+        let number = 0;
+        
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                if (!isOpen(row, col)) continue;
+                
+                const startsAcross = !isOpen(row, col - 1) && isOpen(row, col + 1);
+                const startsDown = !isOpen(row - 1, col) && isOpen(row + 1, col);
+                
+                if (!startsAcross && !startsDown) continue;
+                
+                number++;
+                
+                if (startsAcross) {
+                    starts.push(this.buildWordStart(number, 'horizontal', row, col, grid));
+                }
+                if (startsDown) {
+                    starts.push(this.buildWordStart(number, 'vertical', row, col, grid));
+                }
+            }
+        }
+        
+        return starts;
+    }
+
+    buildWordStart(number, direction, row, col, grid = this.grid) {
+        const cells = [];
+        let r = row;
+        let c = col;
+        
+        while (r < grid.length && c < grid[0].length && !grid[r][c].isBlack) {
+            cells.push({ row: r, col: c });
+            if (direction === 'horizontal') {
+                c++;
+            } else {
+                r++;
+            }
+        }
+        
+        return { number, direction, row, col, cells, length: cells.length };
+    }
+
     isMobile() {
         return /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
     }
@@ -1461,6 +2551,15 @@ class CrosswordGrid {
         
         cell.classList.toggle('has-letter', letter !== '');
         
+        // A wrong mark only sticks while the checked letter is still there
+        const key = `${row},${col}`;
+        const wrongLetter = this.wrongLetters.get(key);
+        if (wrongLetter !== undefined && wrongLetter !== letter) {
+            this.wrongLetters.delete(key);
+        }
+        cell.classList.toggle('wrong-letter', letter !== '' && wrongLetter === letter);
+        cell.classList.toggle('revealed', !!(this.grid && this.grid[row][col].revealed));
+        
         // Clear canvas if exists
         const canvas = cell.querySelector('.cell-canvas');
         if (canvas) {
@@ -1469,18 +2568,175 @@ class CrosswordGrid {
         }
     }
 
-    async updateCell(roomId, row, col, letter) {
+    async updateCell(roomId, row, col, letter, recordHistory = true) {
+        if (!accessManager.guardEdit()) return; // Spectator or locked grid
+        
+        const cellData = this.grid[row][col];
+        const previous = cellData.letter || '';
+        
+        // Remember the edit so this user can undo it later
+        if (recordHistory && previous !== letter) {
+            this.letterHistory.push({
+                row,
+                col,
+                previous,
+                letter,
+                author: CLIENT_ID,
+                timestamp: connectionMonitor.serverNow()
+            });
+            
+            if (this.letterHistory.length > this.MAX_HISTORY) {
+                this.letterHistory.shift();
+            }
+            
+            this.letterRedoStack = [];
+        }
+        
         // Optimistic update - show immediately
+        const timestamp = connectionMonitor.serverNow();
+        cellData.letter = letter;
+        cellData.author = CLIENT_ID;
+        cellData.timestamp = timestamp;
         this.updateCellDisplay(row, col, letter);
 
-        // Sync to Firebase (will propagate to all users)
-        const result = await roomManager.updateCell(roomId, row, col, letter);
+        // Persist locally first, then sync to Firebase (will propagate to all users).
+        // Not awaited - while offline the write only resolves once the connection returns
+        this.syncCell(roomId, row, col, letter, timestamp);
+    }
+
+    async syncCell(roomId, row, col, letter, timestamp) {
+        const key = `cell:${roomId}:${row}:${col}`;
+        this.setCellPending(row, col, timestamp);
         
-        if (!result.success) {
+        await offlineQueue.put({ key, type: 'cell', roomId, row, col, letter, timestamp });
+        
+        const result = await roomManager.updateCell(roomId, row, col, letter, timestamp);
+        
+        if (result.success) {
+            await offlineQueue.remove(key, timestamp);
+            this.clearCellPending(row, col, timestamp);
+            
+            // A newer edit from a teammate won - our letter was dropped
+            if (!result.committed) {
+                this.flagConflict(row, col, letter);
+            }
+        } else {
             notifier.error('לא הצלחנו לשמור. מנסים שוב...');
         }
     }
 
+    setCellPending(row, col, timestamp) {
+        this.pendingCells.set(`${row},${col}`, timestamp);
+        const cell = this.container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        if (cell) cell.classList.add('pending');
+    }
+
+    clearCellPending(row, col, timestamp) {
+        // Keep the mark if a newer edit of the same cell is still waiting
+        const key = `${row},${col}`;
+        if (this.pendingCells.get(key) !== timestamp) return;
+        
+        this.pendingCells.delete(key);
+        const cell = this.container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        if (cell) cell.classList.remove('pending');
+    }
+
+    async replayPendingEdits(roomId) {
+        // Edits saved in a previous session (e.g. before a reload while offline)
+        const edits = await offlineQueue.getRoomEdits(roomId);
+        
+        for (const edit of edits) {
+            if (edit.type !== 'cell' || offlineQueue.isInFlight(edit)) continue;
+            if (edit.row >= this.rows || edit.col >= this.cols) continue;
+            
+            const remote = await storageManager.getData(`rooms/${roomId}/grid/${edit.row}/${edit.col}`);
+            
+            // Someone wrote the cell after our edit - the remote value wins
+            if (remote && remote.timestamp && remote.timestamp > edit.timestamp) {
+                await offlineQueue.remove(edit.key, edit.timestamp);
+                continue;
+            }
+            
+            console.log(`🔁 Replaying pending edit [${edit.row}, ${edit.col}]: "${edit.letter}"`);
+            
+            const cellData = this.grid[edit.row][edit.col];
+            cellData.letter = edit.letter;
+            cellData.author = CLIENT_ID;
+            this.updateCellDisplay(edit.row, edit.col, edit.letter);
+            
+            this.syncCell(roomId, edit.row, edit.col, edit.letter, edit.timestamp);
+        }
+    }
+
+    flagConflict(row, col, lostLetter) {
+        // Briefly show the letter that lost, so the team notices the clash
+        const cell = this.container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+        if (!cell) return;
+        
+        console.log(`⚔️ Conflict at [${row}, ${col}]: "${lostLetter}" was overwritten`);
+        
+        cell.querySelectorAll('.cell-conflict').forEach(el => el.remove());
+        cell.classList.add('conflict');
+        
+        if (lostLetter) {
+            const label = document.createElement('span');
+            label.className = 'cell-conflict';
+            label.textContent = lostLetter;
+            cell.appendChild(label);
+        }
+        
+        clearTimeout(cell.conflictTimer);
+        cell.conflictTimer = setTimeout(() => {
+            cell.classList.remove('conflict');
+            cell.querySelectorAll('.cell-conflict').forEach(el => el.remove());
+        }, CONFIG.CONFLICT_FLAG_DURATION);
+    }
+
+    markWrong(row, col, letter) {
+        this.wrongLetters.set(`${row},${col}`, letter);
+        this.updateCellDisplay(row, col, letter);
+    }
+
+    isOwnLatestEdit(row, col, letter) {
+        // True if the cell still holds what this user last wrote there
+        const cellData = this.grid[row][col];
+        return (cellData.letter || '') === letter && 
+               (!cellData.author || cellData.author === CLIENT_ID);
+    }
+
+    async undoLetter(roomId) {
+        const entry = this.letterHistory.pop();
+        if (!entry) return;
+        
+        // Don't wipe a teammate's newer entry in the same cell
+        if (!this.isOwnLatestEdit(entry.row, entry.col, entry.letter)) {
+            notifier.warning('התא שונה על ידי משתתף אחר - לא ניתן לבטל');
+            return;
+        }
+        
+        await this.updateCell(roomId, entry.row, entry.col, entry.previous, false);
+        this.letterRedoStack.push(entry);
+        this.selectCellWithoutDirectionChange(roomId, entry.row, entry.col);
+        
+        console.log(`↶ Undo letter at [${entry.row}, ${entry.col}]: "${entry.letter}" → "${entry.previous}"`);
+    }
+
+    async redoLetter(roomId) {
+        const entry = this.letterRedoStack.pop();
+        if (!entry) return;
+        
+        if (!this.isOwnLatestEdit(entry.row, entry.col, entry.previous)) {
+            notifier.warning('התא שונה על ידי משתתף אחר - לא ניתן לשחזר');
+            return;
+        }
+        
+        await this.updateCell(roomId, entry.row, entry.col, entry.letter, false);
+        this.letterHistory.push(entry);
+        this.selectCellWithoutDirectionChange(roomId, entry.row, entry.col);
+        
+        console.log(`↷ Redo letter at [${entry.row}, ${entry.col}]: "${entry.previous}" → "${entry.letter}"`);
+    }
+
     getNextCell(row, col) {
         if (this.currentDirection === 'horizontal') {
             // Move left (Hebrew direction: col increases)
@@ -1537,24 +2793,602 @@ class CrosswordGrid {
                 }
             }
         } else {
-            // Move up (vertical)
-            for (let r = row - 1; r >= 0; r--) {
-                if (!this.grid[r][col].isBlack) {
-                    return { row: r, col };
-                }
-            }
+            // Move up (vertical)
+            for (let r = row - 1; r >= 0; r--) {
+                if (!this.grid[r][col].isBlack) {
+                    return { row: r, col };
+                }
+            }
+
+            // Wrap to previous column
+            for (let c = col - 1; c >= 0; c--) {
+                for (let r = this.rows - 1; r >= 0; r--) {
+                    if (!this.grid[r][c].isBlack) {
+                        return { row: r, col: c };
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+}
+
+// ========================
+// Clue Panel
+// ========================
+
+class CluePanel {
+    constructor() {
+        this.container = document.getElementById('clue-panel');
+        this.lists = {
+            horizontal: document.getElementById('clue-list-across'),
+            vertical: document.getElementById('clue-list-down')
+        };
+        this.roomId = null;
+        this.imageUrl = null;
+        this.crosswordGrid = null;
+        this.wordStarts = [];
+        this.clues = {};
+        this.activeKey = null;
+        this.cropKey = null;
+        this.cropOverlay = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.container.addEventListener('click', (e) => {
+            const item = e.target.closest('.clue-item');
+            if (!item) return;
+            
+            const key = item.dataset.key;
+            
+            if (e.target.closest('.clue-crop-btn')) {
+                e.stopPropagation();
+                this.startCrop(key);
+            } else if (e.target.closest('.clue-remove-btn')) {
+                e.stopPropagation();
+                this.removeCrop(key);
+            } else {
+                this.selectClue(key);
+            }
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.cropKey) {
+                this.cancelCrop();
+            }
+        });
+    }
+
+    initialize(roomId, imageUrl, crosswordGrid) {
+        this.destroy();
+        
+        this.roomId = roomId;
+        this.imageUrl = imageUrl;
+        this.crosswordGrid = crosswordGrid;
+        this.wordStarts = crosswordGrid.getWordStarts();
+        this.clues = {};
+        this.render();
+        
+        // Listen for clue crops attached by any participant
+        storageManager.onDataChange(`rooms/${roomId}/clues`, (clues) => {
+            this.clues = clues || {};
+            this.render();
+        });
+    }
+
+    destroy() {
+        this.cancelCrop();
+        
+        if (this.roomId) {
+            storageManager.offDataChange(`rooms/${this.roomId}/clues`);
+        }
+        
+        this.roomId = null;
+        this.activeKey = null;
+    }
+
+    getClueKey(direction, number) {
+        return `${direction}-${number}`;
+    }
+
+    render() {
+        Object.values(this.lists).forEach(list => {
+            list.innerHTML = '';
+        });
+        
+        this.wordStarts.forEach(start => {
+            const key = this.getClueKey(start.direction, start.number);
+            const clue = this.clues[key];
+            
+            const item = document.createElement('div');
+            item.className = 'clue-item';
+            item.classList.toggle('active', key === this.activeKey);
+            item.dataset.key = key;
+            
+            const number = document.createElement('span');
+            number.className = 'clue-number';
+            number.textContent = start.number;
+            item.appendChild(number);
+            
+            if (clue && clue.crop) {
+                item.appendChild(this.createCropElement(clue.crop));
+            } else if (clue && clue.text) {
+                // Imported from a puzzle file
+                const text = document.createElement('span');
+                text.className = 'clue-text';
+                text.textContent = clue.text;
+                item.appendChild(text);
+            } else {
+                const empty = document.createElement('span');
+                empty.className = 'clue-empty';
+                empty.textContent = `(${start.length} אותיות)`;
+                item.appendChild(empty);
+            }
+            
+            // Nothing to crop from without a photo
+            if (!this.imageUrl) {
+                this.lists[start.direction].appendChild(item);
+                return;
+            }
+            
+            const cropBtn = document.createElement('button');
+            cropBtn.className = 'clue-crop-btn';
+            cropBtn.title = 'סמן הגדרה בתמונה';
+            cropBtn.textContent = '✂️';
+            item.appendChild(cropBtn);
+            
+            if (clue && clue.crop) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'clue-remove-btn';
+                removeBtn.title = 'הסר הגדרה';
+                removeBtn.textContent = '🗑️';
+                item.appendChild(removeBtn);
+            }
+            
+            this.lists[start.direction].appendChild(item);
+        });
+    }
+
+    createCropElement(crop) {
+        // Show the crop region of the original image without reading its pixels
+        // (canvas access to Firebase Storage images is blocked by CORS)
+        const image = document.getElementById('crossword-image');
+        const naturalWidth = image.naturalWidth || 1;
+        const naturalHeight = image.naturalHeight || 1;
+        
+        const cropElement = document.createElement('div');
+        cropElement.className = 'clue-crop';
+        cropElement.style.backgroundImage = `url("${this.imageUrl}")`;
+        cropElement.style.backgroundSize = `${10000 / crop.width}% ${10000 / crop.height}%`;
+        cropElement.style.backgroundPosition = `${crop.width < 100 ? crop.x / (100 - crop.width) * 100 : 0}% ${crop.height < 100 ? crop.y / (100 - crop.height) * 100 : 0}%`;
+        cropElement.style.aspectRatio = `${crop.width * naturalWidth} / ${crop.height * naturalHeight}`;
+        
+        return cropElement;
+    }
+
+    selectClue(key) {
+        const start = this.wordStarts.find(s => this.getClueKey(s.direction, s.number) === key);
+        if (!start) return;
+        
+        app.setDirection(start.direction);
+        this.crosswordGrid.selectCell(this.roomId, start.row, start.col);
+    }
+
+    highlightClueForCell(row, col, direction) {
+        const start = this.wordStarts.find(s => 
+            s.direction === direction && 
+            s.cells.some(cell => cell.row === row && cell.col === col)
+        );
+        
+        this.activeKey = start ? this.getClueKey(start.direction, start.number) : null;
+        
+        this.container.querySelectorAll('.clue-item').forEach(item => {
+            const isActive = item.dataset.key === this.activeKey;
+            item.classList.toggle('active', isActive);
+            if (isActive) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    }
+
+    startCrop(key) {
+        if (!accessManager.guardEdit()) return;
+        
+        this.cancelCrop();
+        this.cropKey = key;
+        
+        const area = document.querySelector('.crossword-area');
+        const overlay = document.createElement('div');
+        overlay.className = 'clue-crop-overlay';
+        
+        const selection = document.createElement('div');
+        selection.className = 'clue-crop-selection';
+        overlay.appendChild(selection);
+        
+        area.appendChild(overlay);
+        this.cropOverlay = overlay;
+        
+        let start = null;
+        
+        const updateSelection = (x, y) => {
+            selection.style.left = `${Math.min(start.x, x)}px`;
+            selection.style.top = `${Math.min(start.y, y)}px`;
+            selection.style.width = `${Math.abs(x - start.x)}px`;
+            selection.style.height = `${Math.abs(y - start.y)}px`;
+        };
+        
+        overlay.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            overlay.setPointerCapture(e.pointerId);
+            
+            const rect = overlay.getBoundingClientRect();
+            start = { x: e.clientX - rect.left, y: e.clientY - rect.top };
+            updateSelection(start.x, start.y);
+        });
+        
+        overlay.addEventListener('pointermove', (e) => {
+            if (!start) return;
+            const rect = overlay.getBoundingClientRect();
+            updateSelection(e.clientX - rect.left, e.clientY - rect.top);
+        });
+        
+        overlay.addEventListener('pointerup', async (e) => {
+            if (!start) return;
+            
+            const overlayRect = overlay.getBoundingClientRect();
+            const startClientX = start.x + overlayRect.left;
+            const startClientY = start.y + overlayRect.top;
+            start = null;
+            
+            await this.saveCrop(key, startClientX, startClientY, e.clientX, e.clientY);
+        });
+        
+        notifier.warning('סמן את ההגדרה על התמונה (Esc לביטול)');
+    }
+
+    async saveCrop(key, x1, y1, x2, y2) {
+        // Convert to percentages of the image (same as grid positioning)
+        const imageRect = document.getElementById('crossword-image').getBoundingClientRect();
+        const toX = (x) => Math.max(0, Math.min(100, (x - imageRect.left) / imageRect.width * 100));
+        const toY = (y) => Math.max(0, Math.min(100, (y - imageRect.top) / imageRect.height * 100));
+        
+        const left = Math.min(toX(x1), toX(x2));
+        const top = Math.min(toY(y1), toY(y2));
+        const width = Math.abs(toX(x2) - toX(x1));
+        const height = Math.abs(toY(y2) - toY(y1));
+        
+        this.cancelCrop();
+        
+        if (width < 1 || height < 1) {
+            notifier.warning('האזור שסומן קטן מדי');
+            return;
+        }
+        
+        const result = await storageManager.saveData(`rooms/${this.roomId}/clues/${key}`, {
+            crop: {
+                x: Math.round(left * 100) / 100,
+                y: Math.round(top * 100) / 100,
+                width: Math.round(width * 100) / 100,
+                height: Math.round(height * 100) / 100
+            },
+            author: CLIENT_ID,
+            timestamp: Date.now()
+        });
+        
+        if (result.success) {
+            notifier.success('ההגדרה נשמרה!');
+        } else {
+            notifier.error('שמירת ההגדרה נכשלה');
+        }
+    }
+
+    async removeCrop(key) {
+        const result = await storageManager.deleteData(`rooms/${this.roomId}/clues/${key}`);
+        if (!result.success) {
+            notifier.error('המחיקה נכשלה');
+        }
+    }
+
+    cancelCrop() {
+        if (this.cropOverlay) {
+            this.cropOverlay.remove();
+            this.cropOverlay = null;
+        }
+        this.cropKey = null;
+    }
+}
+
+// ========================
+// Solution Key (check / reveal)
+// ========================
+
+class SolutionManager {
+    constructor() {
+        this.roomId = null;
+        this.crosswordGrid = null;
+        this.solution = null; // Grid of hashed letters ('' for black cells)
+        this.loadedPromise = Promise.resolve();
+        this.solutionBtn = document.getElementById('solution-btn');
+        this.checkWrapper = document.getElementById('check-menu-wrapper');
+        this.checkMenu = document.getElementById('check-menu');
+        this.dialog = document.getElementById('solution-dialog');
+        this.input = document.getElementById('solution-input');
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        this.solutionBtn.addEventListener('click', () => {
+            this.dialog.classList.remove('hidden');
+            this.input.focus();
+        });
+
+        document.getElementById('solution-cancel').addEventListener('click', () => {
+            this.dialog.classList.add('hidden');
+        });
+
+        document.getElementById('solution-save').addEventListener('click', () => {
+            this.saveSolution(this.input.value);
+        });
+
+        document.getElementById('check-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.checkMenu.classList.toggle('hidden');
+        });
+
+        this.checkMenu.addEventListener('click', (e) => {
+            const action = e.target.dataset.action;
+            if (!action) return;
+            
+            this.checkMenu.classList.add('hidden');
+            this.handleAction(action);
+        });
+
+        document.addEventListener('click', () => {
+            this.checkMenu.classList.add('hidden');
+        });
+    }
+
+    initialize(roomId, room, crosswordGrid) {
+        this.destroy();
+        
+        this.roomId = roomId;
+        this.crosswordGrid = crosswordGrid;
+        this.solution = null;
+        
+        // Only the creator's account may write the solution (see database.rules.json)
+        const isCreator = !!room.createdBy && room.createdBy === authManager.uid;
+        this.solutionBtn.classList.toggle('hidden', !isCreator);
+        this.checkWrapper.classList.add('hidden');
+        
+        // Until the first snapshot arrives we don't know whether there is a key
+        this.loadedPromise = new Promise(resolve => {
+            this.resolveLoaded = resolve;
+        });
+        
+        storageManager.onDataChange(`rooms/${roomId}/solution`, (solution) => {
+            this.solution = solution ? solution.cells : null;
+            this.checkWrapper.classList.toggle('hidden', !this.solution);
+            this.resolveLoaded();
+        });
+    }
+
+    destroy() {
+        if (this.roomId) {
+            storageManager.offDataChange(`rooms/${this.roomId}/solution`);
+            this.resolveLoaded(); // Don't leave callers of loaded() waiting
+        }
+        this.roomId = null;
+        this.solution = null;
+        this.dialog.classList.add('hidden');
+        this.checkMenu.classList.add('hidden');
+    }
+
+    // Resolves once the room's solution (or its absence) is known
+    async loaded() {
+        await this.loadedPromise;
+    }
+
+    hasSolution() {
+        return !!this.solution;
+    }
+
+    async hashLetter(row, col, letter) {
+        // Salted per room and cell, so the stored key can't be read at a glance.
+        // Obfuscation only: the salt is the room code and a cell has 27 possible letters,
+        // so any participant can recover the solution (getSolutionLetter does exactly that)
+        const data = new TextEncoder().encode(`${this.roomId}:${row}:${col}:${letter}`);
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest))
+            .slice(0, 8)
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    parseSolution(text) {
+        // One line per row, letters in reading order (right to left), '#' for black cells
+        const grid = this.crosswordGrid.grid;
+        const lines = text.split('\n')
+            .map(line => line.replace(/\s/g, ''))
+            .filter(line => line.length > 0);
+        
+        if (lines.length !== this.crosswordGrid.rows) {
+            throw new Error(`צריך ${this.crosswordGrid.rows} שורות (נמצאו ${lines.length})`);
+        }
+        
+        return lines.map((line, row) => {
+            const chars = Array.from(line);
+            
+            if (chars.length !== this.crosswordGrid.cols) {
+                throw new Error(`שורה ${row + 1}: צריך ${this.crosswordGrid.cols} תווים (נמצאו ${chars.length})`);
+            }
+            
+            return chars.map((char, col) => {
+                const isBlackMarker = char === '#' || char === '.';
+                
+                if (grid[row][col].isBlack !== isBlackMarker) {
+                    throw new Error(`שורה ${row + 1}, עמודה ${col + 1}: לא תואם לתאים השחורים ברשת`);
+                }
+                
+                if (!isBlackMarker && !HEBREW_RANGE.test(char)) {
+                    throw new Error(`שורה ${row + 1}, עמודה ${col + 1}: "${char}" אינה אות עברית`);
+                }
+                
+                return isBlackMarker ? '' : char;
+            });
+        });
+    }
+
+    async saveSolution(text) {
+        let letters;
+        try {
+            letters = this.parseSolution(text);
+        } catch (error) {
+            notifier.error(error.message);
+            return;
+        }
+        
+        await this.saveLetters(letters);
+    }
+
+    // letters: grid of solution letters ('' for black cells)
+    async saveLetters(letters) {
+        const cells = await Promise.all(letters.map((rowLetters, row) =>
+            Promise.all(rowLetters.map((letter, col) =>
+                letter ? this.hashLetter(row, col, letter) : ''
+            ))
+        ));
+        
+        const result = await storageManager.saveData(`rooms/${this.roomId}/solution`, {
+            cells,
+            createdBy: authManager.uid,
+            createdAt: Date.now()
+        });
+        
+        if (result.success) {
+            this.input.value = '';
+            this.dialog.classList.add('hidden');
+            notifier.success('הפתרון נשמר! 🔑');
+        } else {
+            notifier.error('שמירת הפתרון נכשלה');
+        }
+    }
+
+    async isCorrect(row, col, letter) {
+        if (!this.solution || !letter) return false;
+        return await this.hashLetter(row, col, letter) === this.solution[row][col];
+    }
+
+    async getSolutionLetter(row, col) {
+        if (!this.solution || !this.solution[row][col]) return null;
+        
+        for (const letter of HEBREW_LETTERS) {
+            if (await this.isCorrect(row, col, letter)) {
+                return letter;
+            }
+        }
+        
+        return null;
+    }
+
+    getTargetCells(scope) {
+        const grid = this.crosswordGrid;
+        
+        if (scope === 'puzzle') {
+            const cells = [];
+            for (let row = 0; row < grid.rows; row++) {
+                for (let col = 0; col < grid.cols; col++) {
+                    if (!grid.grid[row][col].isBlack) {
+                        cells.push({ row, col });
+                    }
+                }
+            }
+            return cells;
+        }
+        
+        if (!grid.activeCell) return null;
+        
+        const row = parseInt(grid.activeCell.dataset.row);
+        const col = parseInt(grid.activeCell.dataset.col);
+        
+        if (scope === 'cell') {
+            return [{ row, col }];
+        }
+        
+        // Word: the active cell plus the rest of the highlighted word
+        return [{ row, col }, ...grid.getWordCells(row, col).map(({r, c}) => ({ row: r, col: c }))];
+    }
+
+    async handleAction(action) {
+        const [type, scope] = action.split('-');
+        const cells = this.getTargetCells(scope);
+        
+        if (!cells) {
+            notifier.warning('בחר תא קודם');
+            return;
+        }
+        
+        if (type === 'check') {
+            await this.checkCells(cells);
+        } else if (accessManager.guardEdit()) {
+            await this.revealCells(cells);
+        }
+    }
+
+    async checkCells(cells) {
+        let wrong = 0;
+        let empty = 0;
+        
+        for (const { row, col } of cells) {
+            const letter = this.crosswordGrid.grid[row][col].letter || '';
+            
+            if (!letter) {
+                empty++;
+            } else if (!await this.isCorrect(row, col, letter)) {
+                wrong++;
+                this.crosswordGrid.markWrong(row, col, letter);
+            }
+        }
+        
+        if (wrong > 0) {
+            notifier.error(`${wrong} אותיות שגויות`);
+        } else if (empty > 0) {
+            notifier.success(`הכל נכון עד עכשיו! (${empty} תאים ריקים)`);
+        } else {
+            notifier.success('הכל נכון! ✅');
+        }
+    }
 
-            // Wrap to previous column
-            for (let c = col - 1; c >= 0; c--) {
-                for (let r = this.rows - 1; r >= 0; r--) {
-                    if (!this.grid[r][c].isBlack) {
-                        return { row: r, col: c };
-                    }
-                }
+    async revealCells(cells) {
+        if (!confirm('לגלות את הפתרון? הגילוי יירשם בהיסטוריה.')) return;
+        
+        let revealed = 0;
+        
+        for (const { row, col } of cells) {
+            const cellData = this.crosswordGrid.grid[row][col];
+            const letter = await this.getSolutionLetter(row, col);
+            
+            if (!letter || cellData.letter === letter) continue;
+            
+            // Optimistic update - show immediately
+            cellData.letter = letter;
+            cellData.author = CLIENT_ID;
+            cellData.revealed = true;
+            this.crosswordGrid.updateCellDisplay(row, col, letter);
+            
+            const result = await roomManager.revealCell(this.roomId, row, col, letter);
+            if (!result.success) {
+                notifier.error('לא הצלחנו לשמור. מנסים שוב...');
+                return;
             }
+            
+            revealed++;
+        }
+        
+        if (revealed > 0) {
+            notifier.success(`נחשפו ${revealed} אותיות 💡`);
         }
-
-        return null;
     }
 }
 
@@ -1664,19 +3498,487 @@ class HebrewKeyboard {
     }
 }
 
+// ========================
+// Handwriting Suggestions (offline)
+// ========================
+
+class LetterSuggester {
+    constructor() {
+        this.roomId = null;
+        this.crosswordGrid = null;
+        this.sharedDrawing = null;
+        this.pending = null; // { row, col, strokeIds, strokes, width, height } for the cell being written in
+        this.timer = null;
+        this.el = document.getElementById('letter-suggestion');
+    }
+
+    initialize(roomId, crosswordGrid, sharedDrawing) {
+        this.destroy();
+        
+        this.roomId = roomId;
+        this.crosswordGrid = crosswordGrid;
+        this.sharedDrawing = sharedDrawing;
+        sharedDrawing.onStroke = (id, stroke) => this.addStroke(id, stroke);
+    }
+
+    destroy() {
+        if (this.sharedDrawing) this.sharedDrawing.onStroke = null;
+        this.reset();
+        this.roomId = null;
+        this.crosswordGrid = null;
+        this.sharedDrawing = null;
+    }
+
+    reset() {
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = null;
+        this.pending = null;
+        this.el.classList.add('hidden');
+    }
+
+    addStroke(id, stroke) {
+        const canvasRect = this.sharedDrawing.canvas.getBoundingClientRect();
+        
+        // Stroke points are normalized to the drawing canvas - convert to screen coordinates
+        const screen = stroke.points.map(p => ({
+            x: canvasRect.left + p.x * canvasRect.width,
+            y: canvasRect.top + p.y * canvasRect.height
+        }));
+        
+        const xs = screen.map(p => p.x);
+        const ys = screen.map(p => p.y);
+        const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+        
+        const cell = this.findCellAt(centerX, centerY);
+        if (!cell) return; // Doodle outside the playable cells
+        
+        const row = parseInt(cell.dataset.row);
+        const col = parseInt(cell.dataset.col);
+        
+        // Writing in a new cell drops the previous cell's suggestion
+        const cellRect = cell.getBoundingClientRect();
+        if (!this.pending || this.pending.row !== row || this.pending.col !== col) {
+            this.reset();
+            this.pending = { row, col, strokeIds: [], strokes: [], width: cellRect.width, height: cellRect.height };
+        }
+        
+        // Recognizers work in cell-relative coordinates
+        this.pending.strokeIds.push(id);
+        this.pending.strokes.push(screen.map((p, i) => ({
+            x: p.x - cellRect.left,
+            y: p.y - cellRect.top,
+            t: stroke.points[i].t
+        })));
+        
+        this.el.classList.add('hidden');
+        if (this.timer) clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.suggest(), CONFIG.HANDWRITING_DELAY);
+    }
+
+    findCellAt(x, y) {
+        const cells = this.crosswordGrid.container.querySelectorAll('.grid-cell:not(.black-cell)');
+        for (const cell of cells) {
+            const rect = cell.getBoundingClientRect();
+            if (x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom) {
+                return cell;
+            }
+        }
+        return null;
+    }
+
+    async suggest() {
+        this.timer = null;
+        const pending = this.pending;
+        if (!pending) return;
+        
+        const { provider, candidates: ranked } = await handwritingManager.recognize(pending);
+        if (this.pending !== pending || ranked.length === 0) return; // Kept writing, or nothing found
+        
+        const candidates = ranked.slice(0, 3);
+        console.log(`✍️ Suggestions for [${this.pending.row}, ${this.pending.col}] from ${provider}:`,
+            candidates.map(c => `${c.letter} ${c.score.toFixed(2)}`).join(', '));
+        
+        this.el.innerHTML = '';
+        
+        candidates.forEach((candidate, index) => {
+            const button = document.createElement('button');
+            button.className = index === 0 ? 'suggestion-letter best' : 'suggestion-letter';
+            button.textContent = candidate.letter;
+            button.title = 'הכנס לתא';
+            button.addEventListener('click', () => this.accept(candidate.letter));
+            this.el.appendChild(button);
+        });
+        
+        const dismiss = document.createElement('button');
+        dismiss.className = 'suggestion-dismiss';
+        dismiss.textContent = '✕';
+        dismiss.title = 'השאר כציור';
+        dismiss.addEventListener('click', () => this.reset());
+        this.el.appendChild(dismiss);
+        
+        // Show just below the cell
+        const cell = this.crosswordGrid.container.querySelector(
+            `[data-row="${this.pending.row}"][data-col="${this.pending.col}"]`
+        );
+        const rect = cell.getBoundingClientRect();
+        this.el.style.top = `${rect.bottom + 4}px`;
+        this.el.style.left = `${rect.left + rect.width / 2}px`;
+        this.el.classList.remove('hidden');
+    }
+
+    accept(letter) {
+        const { row, col, strokeIds } = this.pending;
+        
+        // Learn from this drawing so the next offline guess is better
+        handwritingManager.learn(letter, this.pending);
+        
+        this.crosswordGrid.updateCell(this.roomId, row, col, letter);
+        
+        // The ink became a letter - remove it from the shared drawing
+        this.sharedDrawing.removeStrokes(strokeIds);
+        
+        this.reset();
+    }
+}
+
+// ========================
+// Puzzle Export (PNG / PDF)
+// ========================
+
+const EXPORT_CELL_SIZE = 60; // px per cell when there is no image to draw on
+const EXPORT_PAGE = { width: 595, height: 842, margin: 36 }; // A4 in PDF points
+
+class PuzzleExporter {
+    async export(roomId, crosswordGrid, sharedDrawing, options = {}) {
+        const { format = 'png', includeDrawing = true } = options;
+        
+        const canvas = await this.render(crosswordGrid, includeDrawing ? sharedDrawing : null);
+        const blob = format === 'pdf' ? this.toPDF(canvas) : await this.toPNG(canvas);
+        
+        this.download(blob, `crossword-${roomId}.${format}`);
+        console.log(`📤 Exported ${format.toUpperCase()} (${canvas.width}×${canvas.height})`);
+    }
+
+    async render(crosswordGrid, sharedDrawing) {
+        const image = await this.loadImage(document.getElementById('crossword-image').src);
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        let area;
+        
+        if (image) {
+            canvas.width = image.naturalWidth;
+            canvas.height = image.naturalHeight;
+            ctx.drawImage(image, 0, 0);
+            area = this.getGridArea(crosswordGrid, image);
+        } else {
+            // No background - draw the grid itself
+            canvas.width = crosswordGrid.cols * EXPORT_CELL_SIZE;
+            canvas.height = crosswordGrid.rows * EXPORT_CELL_SIZE;
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            area = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+            this.drawGridLines(ctx, crosswordGrid, area);
+        }
+        
+        this.drawLetters(ctx, crosswordGrid, area);
+        
+        if (sharedDrawing) {
+            ctx.save();
+            ctx.translate(area.x, area.y);
+            sharedDrawing.drawTo(ctx, area.width, area.height);
+            ctx.restore();
+        }
+        
+        return canvas;
+    }
+
+    async loadImage(url) {
+        // Go through a blob URL so the canvas isn't tainted
+        // (needs CORS on the Storage bucket - see cors.json)
+        if (!url) return null;
+        
+        try {
+            const response = await fetch(url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const objectUrl = URL.createObjectURL(await response.blob());
+            
+            const image = new Image();
+            await new Promise((resolve, reject) => {
+                image.onload = resolve;
+                image.onerror = reject;
+                image.src = objectUrl;
+            });
+            URL.revokeObjectURL(objectUrl);
+            
+            return image;
+        } catch (error) {
+            console.warn('⚠️ Crossword image not available for export:', error);
+            notifier.warning('לא ניתן לטעון את התמונה - מייצאים את הרשת בלבד');
+            return null;
+        }
+    }
+
+    getGridArea(crosswordGrid, image) {
+        const width = image.naturalWidth;
+        const height = image.naturalHeight;
+        const pos = crosswordGrid.gridSettings && crosswordGrid.gridSettings.position;
+        
+        if (!pos) {
+            // Measure the overlay on screen and scale it to the image
+            const imageRect = document.getElementById('crossword-image').getBoundingClientRect();
+            const gridRect = crosswordGrid.container.getBoundingClientRect();
+            const scale = width / imageRect.width;
+            return {
+                x: (gridRect.left - imageRect.left) * scale,
+                y: (gridRect.top - imageRect.top) * scale,
+                width: gridRect.width * scale,
+                height: gridRect.height * scale
+            };
+        }
+        
+        // Same math as CrosswordGrid.initialize, in image pixels
+        const gridWidth = width * pos.width / 100;
+        const gridHeight = gridWidth / (pos.aspectRatio || pos.width / pos.height);
+        
+        return {
+            x: width - width * pos.right / 100 - gridWidth,
+            y: height * pos.top / 100,
+            width: gridWidth,
+            height: gridHeight
+        };
+    }
+
+    drawGridLines(ctx, crosswordGrid, area) {
+        const cellWidth = area.width / crosswordGrid.cols;
+        const cellHeight = area.height / crosswordGrid.rows;
+        
+        ctx.fillStyle = '#000000';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1;
+        
+        for (let row = 0; row < crosswordGrid.rows; row++) {
+            for (let col = 0; col < crosswordGrid.cols; col++) {
+                // Right-to-left: column 0 is the rightmost
+                const x = area.x + area.width - (col + 1) * cellWidth;
+                const y = area.y + row * cellHeight;
+                
+                if (crosswordGrid.grid[row][col].isBlack) {
+                    ctx.fillRect(x, y, cellWidth, cellHeight);
+                } else {
+                    ctx.strokeRect(x + 0.5, y + 0.5, cellWidth - 1, cellHeight - 1);
+                }
+            }
+        }
+        
+        // Clue numbers in the corner, like the on-screen grid
+        ctx.font = `${Math.round(cellHeight * 0.25)}px Heebo, sans-serif`;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        crosswordGrid.getWordStarts().forEach(start => {
+            ctx.fillText(start.number, area.x + area.width - start.col * cellWidth - 3, area.y + start.row * cellHeight + 2);
+        });
+    }
+
+    drawLetters(ctx, crosswordGrid, area) {
+        const cellWidth = area.width / crosswordGrid.cols;
+        const cellHeight = area.height / crosswordGrid.rows;
+        
+        ctx.save();
+        ctx.fillStyle = '#2C3539';
+        ctx.font = `600 ${Math.round(Math.min(cellWidth, cellHeight) * 0.6)}px Heebo, sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        for (let row = 0; row < crosswordGrid.rows; row++) {
+            for (let col = 0; col < crosswordGrid.cols; col++) {
+                const cellData = crosswordGrid.grid[row][col];
+                if (cellData.isBlack || !cellData.letter) continue;
+                
+                const x = area.x + area.width - (col + 0.5) * cellWidth;
+                const y = area.y + (row + 0.5) * cellHeight;
+                ctx.fillText(cellData.letter, x, y);
+            }
+        }
+        
+        ctx.restore();
+    }
+
+    toPNG(canvas) {
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    toPDF(canvas) {
+        // Minimal one-page PDF with the picture embedded as a JPEG
+        const jpeg = atob(canvas.toDataURL('image/jpeg', 0.92).split(',')[1]);
+        
+        const landscape = canvas.width > canvas.height;
+        const pageWidth = landscape ? EXPORT_PAGE.height : EXPORT_PAGE.width;
+        const pageHeight = landscape ? EXPORT_PAGE.width : EXPORT_PAGE.height;
+        const scale = Math.min(
+            (pageWidth - EXPORT_PAGE.margin * 2) / canvas.width,
+            (pageHeight - EXPORT_PAGE.margin * 2) / canvas.height
+        );
+        const width = canvas.width * scale;
+        const height = canvas.height * scale;
+        const x = (pageWidth - width) / 2;
+        const y = (pageHeight - height) / 2;
+        
+        const content = `q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm /Im0 Do Q`;
+        const objects = [
+            '<< /Type /Catalog /Pages 2 0 R >>',
+            '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+            `<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n${jpeg}\nendstream`,
+            `<< /Length ${content.length} >>\nstream\n${content}\nendstream`
+        ];
+        
+        let pdf = '%PDF-1.4\n';
+        const offsets = objects.map((object, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${object}\nendobj\n`;
+            return offset;
+        });
+        
+        const xrefOffset = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+        
+        // Every character is a single byte (the JPEG came from atob)
+        return new Blob([Uint8Array.from(pdf, c => c.charCodeAt(0))], { type: 'application/pdf' });
+    }
+
+    download(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
 // ========================
 // Main Application
 // ========================
 
+// URL hash for each screen (the room screen is #/room/<id>)
+const SCREEN_ROUTES = {
+    'home-screen': '/',
+    'create-screen': '/create',
+    'join-screen': '/join',
+    'history-screen': '/history',
+    'settings-screen': '/settings'
+};
+
 class CrosswordApp {
     constructor() {
         this.currentScreen = 'home-screen';
         this.crosswordGrid = new CrosswordGrid('#crossword-grid');
         this.keyboard = new HebrewKeyboard();
+        this.cluePanel = new CluePanel();
+        this.solutionManager = new SolutionManager();
+        this.letterSuggester = new LetterSuggester();
+        this.puzzleExporter = new PuzzleExporter();
         this.selectedFile = null;
+        this.builtGridData = null; // Grid from the blank-grid builder (no photo)
         this.initializeTheme();
+        handwritingManager.loadConfig();
+        
+        // Replay queued edits whenever the connection comes back
+        connectionMonitor.onConnected(() => {
+            if (roomManager.currentRoomId && this.crosswordGrid.grid) {
+                this.crosswordGrid.replayPendingEdits(roomManager.currentRoomId);
+            }
+        });
         this.setupEventListeners();
-        this.showScreen('home-screen');
+        
+        // Screens follow the URL hash, so links, reloads and the back button work
+        window.addEventListener('hashchange', () => this.handleRoute());
+        this.handleRoute();
+    }
+
+    // ========================
+    // Routing (#/room/ABC123, #/history, #/settings)
+    // ========================
+
+    parseRoute() {
+        const hash = location.hash.replace(/^#/, '') || '/';
+        const [path, query] = hash.split('?');
+        return { path, params: new URLSearchParams(query || '') };
+    }
+
+    getRoomLink(roomId, params = null) {
+        // Keep the query (e.g. ?emulators) so links work in the same environment
+        const query = params && params.toString() ? `?${params}` : '';
+        return `${location.origin}${location.pathname}${location.search}#/room/${roomId}${query}`;
+    }
+
+    updateRoute(screenId) {
+        const path = screenId === 'room-screen'
+            ? `/room/${roomManager.currentRoomId}`
+            : SCREEN_ROUTES[screenId];
+        if (!path) return;
+        
+        const current = this.parseRoute().path;
+        if (current === path && location.hash === `#${path}`) return;
+        
+        if (!location.hash || current === path) {
+            // First load, or dropping an invite token from the address bar
+            history.replaceState(null, '', `#${path}`);
+        } else {
+            location.hash = path;
+        }
+    }
+
+    async handleRoute() {
+        const { path, params } = this.parseRoute();
+        const roomMatch = path.match(/^\/room\/([A-Za-z0-9]+)$/);
+        const roomId = roomMatch ? roomMatch[1].toUpperCase() : null;
+        
+        // Back button out of a room
+        if (this.currentScreen === 'room-screen' && roomId !== roomManager.currentRoomId) {
+            await this.leaveRoom(false);
+        }
+        
+        if (roomId) {
+            if (this.currentScreen === 'room-screen') return; // Already in this room
+            
+            await this.openRoomFromLink(roomId, {
+                token: params.get('invite'),
+                role: params.get('as') === 'spectator' ? 'spectator' : 'player'
+            });
+            return;
+        }
+        
+        const screenId = Object.keys(SCREEN_ROUTES).find(id => SCREEN_ROUTES[id] === path) || 'home-screen';
+        if (screenId === this.currentScreen) return;
+        
+        if (screenId === 'history-screen') {
+            await this.showHistoryScreen();
+        } else {
+            this.showScreen(screenId);
+        }
+    }
+
+    async openRoomFromLink(roomId, invite) {
+        // Shared link, invite link or a reload inside the room
+        const result = await roomManager.joinRoom(roomId, invite);
+        
+        if (result.success) {
+            await roomManager.saveToHistory(roomManager.currentRoomId, result.room.name, result.room.crosswordImageUrl);
+            if (invite.token) {
+                notifier.success(invite.role === 'spectator' ? 'הצטרפת כצופה 👁️' : 'הצטרפת לחדר!');
+            }
+            this.enterRoom(roomManager.currentRoomId, result.room);
+        } else {
+            notifier.error(result.error);
+            history.replaceState(null, '', '#/');
+            this.showScreen('home-screen');
+        }
     }
 
     initializeTheme() {
@@ -1724,6 +4026,9 @@ class CrosswordApp {
             this.showHistoryScreen();
         });
 
+        // Account (anonymous until the user signs in)
+        this.setupAccount();
+
         // Back buttons
         document.getElementById('back-from-create').addEventListener('click', () => {
             this.showScreen('home-screen');
@@ -1749,6 +4054,32 @@ class CrosswordApp {
         this.setupFileUpload();
 
         // Room creation
+        // Build a blank grid by hand instead of a photo
+        document.getElementById('build-grid-btn').addEventListener('click', () => {
+            this.startGridBuilder();
+        });
+
+        document.getElementById('grid-builder-cancel').addEventListener('click', () => {
+            this.closeGridBuilder();
+        });
+
+        document.getElementById('grid-symmetry').addEventListener('change', (e) => {
+            if (e.target.checked && this.builtGridData) {
+                this.mirrorBuiltGrid();
+            }
+        });
+
+        // Import a puzzle file instead of a photo
+        document.getElementById('import-puzzle-btn').addEventListener('click', () => {
+            document.getElementById('puzzle-file-input').click();
+        });
+
+        document.getElementById('puzzle-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.importPuzzle(file);
+        });
+
         document.getElementById('create-room-submit').addEventListener('click', () => {
             this.createRoom();
         });
@@ -1772,12 +4103,50 @@ class CrosswordApp {
             this.copyRoomId();
         });
 
+        // Share room (native share sheet, QR code fallback)
+        document.getElementById('share-room').addEventListener('click', () => {
+            this.shareRoom();
+        });
+
+        document.getElementById('share-copy').addEventListener('click', () => {
+            this.copyRoomId();
+        });
+
+        document.getElementById('share-close').addEventListener('click', () => {
+            document.getElementById('share-dialog').classList.add('hidden');
+        });
+
+        // Export (image / PDF)
+        document.getElementById('export-btn').addEventListener('click', () => {
+            document.getElementById('export-dialog').classList.remove('hidden');
+        });
+
+        document.getElementById('export-confirm').addEventListener('click', () => {
+            this.exportPuzzle();
+        });
+
+        document.getElementById('export-close').addEventListener('click', () => {
+            document.getElementById('export-dialog').classList.add('hidden');
+        });
+
+        // Change display name (shown to other participants)
+        document.getElementById('participants').addEventListener('click', () => {
+            const name = prompt('השם שלך:', presenceManager.getDisplayName());
+            if (name && name.trim()) {
+                presenceManager.setDisplayName(name.trim().slice(0, 20));
+            }
+        });
+
         // Settings preview updates
         document.getElementById('grid-rows').addEventListener('input', () => this.updateGridPreview());
         document.getElementById('grid-cols').addEventListener('input', () => this.updateGridPreview());
         document.getElementById('show-grid-lines').addEventListener('change', () => this.updateGridPreview());
 
-        // Azure handwriting settings
+        // Handwriting recognition settings
+        document.getElementById('handwriting-provider').addEventListener('change', (e) => {
+            handwritingManager.setProviderName(e.target.value);
+        });
+
         document.getElementById('test-myscript').addEventListener('click', () => {
             this.testMyScriptConnection();
         });
@@ -1821,71 +4190,25 @@ class CrosswordApp {
         try {
             notifier.warning('בודק חיבור...');
             
-            // Test with a simple stroke - use correct API format
-            const testData = {
-                contentType: 'Text',
-                configuration: {
-                    lang: 'he_IL'
-                },
-                strokes: [{
-                    x: [100, 150, 200],
-                    y: [100, 150, 100],
-                    t: [0, 100, 200]
-                }]
-            };
-            
-            // Generate HMAC signature
-            const message = JSON.stringify(testData);
-            const signature = await this.generateHMAC(hmacKey, message);
-            
-            const response = await fetch('https://cloud.myscript.com/api/v4.0/iink/batch', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'applicationKey': appKey,
-                    'hmac': signature
-                },
-                body: message
-            });
-
-            if (response.ok) {
-                CONFIG.MYSCRIPT_APP_KEY = appKey;
-                CONFIG.MYSCRIPT_HMAC_KEY = hmacKey;
-                await storageManager.saveData('myscript_config', { appKey, hmacKey });
-                notifier.success('החיבור תקין! ✅');
-            } else {
-                const error = await response.json();
-                console.error('MyScript error:', error);
-                notifier.error('המפתחות שגויים או ההרשאות לא נכונות');
-            }
+            // Test with a simple stroke
+            await handwritingManager.providers.myscript.send(appKey, hmacKey, [[
+                { x: 100, y: 100, t: 0 },
+                { x: 150, y: 150, t: 100 },
+                { x: 200, y: 100, t: 200 }
+            ]]);
+            
+            CONFIG.MYSCRIPT_APP_KEY = appKey;
+            CONFIG.MYSCRIPT_HMAC_KEY = hmacKey;
+            handwritingManager.saveLocalConfig({ myScriptAppKey: appKey, myScriptHmacKey: hmacKey });
+            notifier.success('החיבור תקין! ✅');
         } catch (error) {
             console.error('Connection test error:', error);
-            notifier.error('לא הצלחנו להתחבר ל-MyScript');
+            notifier.error(error.message === 'API_ERROR'
+                ? 'המפתחות שגויים או ההרשאות לא נכונות'
+                : 'לא הצלחנו להתחבר ל-MyScript');
         }
     }
 
-    async generateHMAC(key, message) {
-        const encoder = new TextEncoder();
-        const keyData = encoder.encode(key);
-        const messageData = encoder.encode(message);
-        
-        const cryptoKey = await crypto.subtle.importKey(
-            'raw',
-            keyData,
-            { name: 'HMAC', hash: 'SHA-512' },
-            false,
-            ['sign']
-        );
-        
-        const signature = await crypto.subtle.sign('HMAC', cryptoKey, messageData);
-        
-        // Convert to hex string
-        return Array.from(new Uint8Array(signature))
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-    }
-
     setupTestCanvas() {
         const canvas = document.getElementById('test-handwriting-canvas');
         const ctx = canvas.getContext('2d');
@@ -1976,83 +4299,34 @@ class CrosswordApp {
     }
 
     async recognizeTestHandwriting() {
-        if (!CONFIG.MYSCRIPT_APP_KEY || !CONFIG.MYSCRIPT_HMAC_KEY) {
-            notifier.error('הגדר מפתחות MyScript בהגדרות');
-            return;
-        }
-        
         if (!this.testStrokes || this.testStrokes.length === 0) {
             notifier.error('צייר משהו קודם!');
             return;
         }
         
-        try {
-            notifier.warning('מזהה...');
-            
-            // Convert stroke format: [[x,y,t]] -> {x:[], y:[], t:[]}
-            const convertedStrokes = this.testStrokes.map(stroke => ({
-                x: stroke.map(p => p[0]),
-                y: stroke.map(p => p[1]),
-                t: stroke.map(p => p[2])
-            }));
-            
-            const requestData = {
-                contentType: 'Text',
-                configuration: {
-                    lang: 'he_IL'
-                },
-                strokes: convertedStrokes
-            };
-            
-            const message = JSON.stringify(requestData);
-            const signature = await this.generateHMAC(CONFIG.MYSCRIPT_HMAC_KEY, message);
-            
-            const response = await fetch('https://cloud.myscript.com/api/v4.0/iink/batch', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json',
-                    'applicationKey': CONFIG.MYSCRIPT_APP_KEY,
-                    'hmac': signature
-                },
-                body: message
-            });
-            
-            if (!response.ok) {
-                const error = await response.json();
-                console.error('MyScript error:', error);
-                notifier.error('שגיאה בזיהוי');
-                return;
-            }
-            
-            const data = await response.json();
-            console.log('MyScript response:', data);
-            
-            if (data.label) {
-                const text = data.label;
-                
-                // Extract first Hebrew character
-                const HEBREW_RANGE = /[\u0590-\u05FF]/;
-                const match = text.match(HEBREW_RANGE);
-                
-                if (match) {
-                    document.getElementById('test-result-text').textContent = match[0];
-                    document.getElementById('test-result').classList.remove('hidden');
-                    notifier.success(`זוהה: ${match[0]}`);
-                } else {
-                    console.log('No Hebrew in recognized text:', text);
-                    document.getElementById('test-result-text').textContent = text;
-                    document.getElementById('test-result').classList.remove('hidden');
-                    notifier.warning(`זוהה: "${text}" (לא עברית)`);
-                }
-            } else {
-                console.log('No label in response');
-                notifier.error('לא זוהה טקסט');
-            }
-        } catch (error) {
-            console.error('Recognition error:', error);
-            notifier.error('שגיאה בזיהוי');
+        notifier.warning('מזהה...');
+        
+        const canvas = document.getElementById('test-handwriting-canvas');
+        const { provider, candidates } = await handwritingManager.recognize({
+            // Stroke format: [[x, y, t]] -> [{x, y, t}]
+            strokes: this.testStrokes.map(stroke => stroke.map(([x, y, t]) => ({ x, y, t }))),
+            width: canvas.width,
+            height: canvas.height
+        });
+        
+        if (candidates.length === 0) {
+            notifier.error('לא זוהה טקסט');
+            return;
         }
+        
+        // Best guess first, then the other candidates
+        const label = handwritingManager.providers[provider].label;
+        document.getElementById('test-result-text').textContent = candidates
+            .slice(0, 5)
+            .map(c => `${c.letter} (${Math.round(c.score * 100)}%)`)
+            .join(' · ');
+        document.getElementById('test-result').classList.remove('hidden');
+        notifier.success(`זוהה: ${candidates[0].letter} (${label})`);
     }
 
     setupDraggableGrid() {
@@ -2267,7 +4541,8 @@ class CrosswordApp {
                 
                 // Show success
                 detectionStatus.querySelector('.status-icon').textContent = '✅';
-                detectionStatus.querySelector('.status-text').textContent = 'הרשת זוהתה!';
+                detectionStatus.querySelector('.status-text').textContent = 
+                    `הרשת זוהתה! (${result.gridSettings.rows}×${result.gridSettings.cols})`;
                 
                 setTimeout(() => {
                     detectionStatus.classList.add('hidden');
@@ -2349,28 +4624,41 @@ class CrosswordApp {
     }
 
     async createRoom() {
-        if (!this.selectedFile) {
+        const building = !!this.builtGridData;
+        
+        if (!building && !this.selectedFile) {
             notifier.error('העלה תמונת תשבץ קודם');
             return;
         }
 
-        if (!this.detectedGridData || !this.detectedGridSettings) {
+        if (!building && (!this.detectedGridData || !this.detectedGridSettings)) {
             notifier.error('הרשת לא זוהתה. נסה תמונה אחרת.');
             return;
         }
 
         const roomName = document.getElementById('room-name-input').value.trim();
+        const visibility = document.getElementById('room-visibility').value;
 
         const submitBtn = document.getElementById('create-room-submit');
         submitBtn.disabled = true;
-        submitBtn.textContent = 'יוצר חדר ומעלה תמונה...';
-
-        const result = await roomManager.createRoom(
-            this.selectedFile, 
-            this.detectedGridData,
-            this.detectedGridSettings,
-            roomName
-        );
+        submitBtn.textContent = building ? 'יוצר חדר...' : 'יוצר חדר ומעלה תמונה...';
+
+        // A built grid needs no photo
+        const result = building
+            ? await roomManager.createRoom(
+                null,
+                this.builtGridData,
+                { rows: this.builtGridData.length, cols: this.builtGridData[0].length },
+                roomName,
+                visibility
+            )
+            : await roomManager.createRoom(
+                this.selectedFile, 
+                this.detectedGridData,
+                this.detectedGridSettings,
+                roomName,
+                visibility
+            );
 
         submitBtn.disabled = false;
         submitBtn.textContent = 'צור חדר ותתחיל לפתור';
@@ -2383,6 +4671,7 @@ class CrosswordApp {
             
             // Clear room name input
             document.getElementById('room-name-input').value = '';
+            if (building) this.closeGridBuilder();
             
             this.enterRoom(result.roomId, result.room);
         } else {
@@ -2413,38 +4702,13 @@ class CrosswordApp {
         overlay.style.top = `${gridTop}px`;
         overlay.style.left = 'auto';
         
-        // Set grid template
-        overlay.style.gridTemplateRows = `repeat(11, 1fr)`;
-        overlay.style.gridTemplateColumns = `repeat(11, 1fr)`;
-        
-        // Clear and create cells
-        overlay.innerHTML = '';
+        // Set grid template from the detected dimensions
+        const rows = this.detectedGridSettings.rows || gridData.length;
+        const cols = this.detectedGridSettings.cols || gridData[0].length;
+        overlay.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+        overlay.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
         
-        for (let row = 0; row < 11; row++) {
-            for (let col = 0; col < 11; col++) {
-                const cell = document.createElement('div');
-                cell.className = `edit-cell ${gridData[row][col].isBlack ? 'black' : 'white'}`;
-                cell.dataset.row = row;
-                cell.dataset.col = col;
-                
-                cell.addEventListener('click', () => {
-                    // Toggle black/white
-                    const isCurrentlyBlack = cell.classList.contains('black');
-                    
-                    if (isCurrentlyBlack) {
-                        cell.classList.remove('black');
-                        cell.classList.add('white');
-                        this.detectedGridData[row][col].isBlack = false;
-                    } else {
-                        cell.classList.remove('white');
-                        cell.classList.add('black');
-                        this.detectedGridData[row][col].isBlack = true;
-                    }
-                });
-                
-                overlay.appendChild(cell);
-            }
-        }
+        this.renderEditCells(overlay, this.detectedGridData);
         
         overlay.classList.remove('hidden');
         controls.classList.remove('hidden');
@@ -2467,6 +4731,112 @@ class CrosswordApp {
         };
     }
 
+    // Click-to-toggle black/white cells (detected grid and blank-grid builder)
+    renderEditCells(container, gridData, isSymmetric = () => false) {
+        const rows = gridData.length;
+        const cols = gridData[0].length;
+        
+        // Clear and create cells
+        container.innerHTML = '';
+        
+        const setBlack = (row, col, isBlack) => {
+            gridData[row][col].isBlack = isBlack;
+            const cell = container.querySelector(`[data-row="${row}"][data-col="${col}"]`);
+            cell.classList.toggle('black', isBlack);
+            cell.classList.toggle('white', !isBlack);
+        };
+        
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const cell = document.createElement('div');
+                cell.className = `edit-cell ${gridData[row][col].isBlack ? 'black' : 'white'}`;
+                cell.dataset.row = row;
+                cell.dataset.col = col;
+                
+                cell.addEventListener('click', () => {
+                    // Toggle black/white
+                    const isBlack = !gridData[row][col].isBlack;
+                    setBlack(row, col, isBlack);
+                    
+                    // Rotational symmetry: the opposite cell follows
+                    if (isSymmetric()) {
+                        setBlack(rows - 1 - row, cols - 1 - col, isBlack);
+                    }
+                });
+                
+                container.appendChild(cell);
+            }
+        }
+    }
+
+    startGridBuilder() {
+        const rows = parseInt(document.getElementById('build-rows').value);
+        const cols = parseInt(document.getElementById('build-cols').value);
+
+        if (!this.isValidGridSize(rows, cols)) {
+            notifier.error(`גודל רשת לא חוקי (${MIN_PUZZLE_SIZE}-${MAX_PUZZLE_SIZE})`);
+            return;
+        }
+        
+        this.builtGridData = roomManager.initializeGrid(rows, cols);
+        
+        const board = document.getElementById('grid-builder-board');
+        board.style.gridTemplateRows = `repeat(${rows}, 1fr)`;
+        board.style.gridTemplateColumns = `repeat(${cols}, 1fr)`;
+        board.style.aspectRatio = `${cols} / ${rows}`;
+        this.renderGridBuilder();
+        
+        // The builder replaces the photo upload
+        document.querySelector('#create-screen .upload-section').classList.add('hidden');
+        document.getElementById('build-grid-section').classList.add('hidden');
+        document.getElementById('grid-builder').classList.remove('hidden');
+        document.getElementById('create-room-submit').disabled = false;
+    }
+
+    renderGridBuilder() {
+        const board = document.getElementById('grid-builder-board');
+        this.renderEditCells(board, this.builtGridData, () => document.getElementById('grid-symmetry').checked);
+    }
+
+    // Turning symmetry on mirrors the black cells drawn so far
+    mirrorBuiltGrid() {
+        const grid = this.builtGridData;
+        const rows = grid.length;
+        const cols = grid[0].length;
+        let mirrored = 0;
+        
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < cols; col++) {
+                const opposite = grid[rows - 1 - row][cols - 1 - col];
+                if (grid[row][col].isBlack && !opposite.isBlack) {
+                    opposite.isBlack = true;
+                    mirrored++;
+                }
+            }
+        }
+        
+        if (mirrored > 0) {
+            this.renderGridBuilder();
+            notifier.success(`${mirrored} תאים שחורים שוקפו לסימטריה`);
+        }
+    }
+
+    isValidGridSize(rows, cols) {
+        const inRange = (size) => size >= MIN_PUZZLE_SIZE && size <= MAX_PUZZLE_SIZE;
+        return inRange(rows) && inRange(cols);
+    }
+
+    closeGridBuilder() {
+        this.builtGridData = null;
+        document.getElementById('grid-builder-board').innerHTML = '';
+        document.getElementById('grid-builder').classList.add('hidden');
+        document.querySelector('#create-screen .upload-section').classList.remove('hidden');
+        document.getElementById('build-grid-section').classList.remove('hidden');
+        
+        // Back to the photo flow - ready only if a detected grid is waiting
+        document.getElementById('create-room-submit').disabled = !(this.selectedFile && this.detectedGridData);
+    }
+
     async joinRoom() {
         const input = document.getElementById('room-code-input');
         const roomId = input.value;
@@ -2502,24 +4872,28 @@ class CrosswordApp {
 
         // Display room ID
         document.getElementById('room-id-display').textContent = roomId;
-        document.getElementById('participants-count').textContent = room.participants;
 
         // Display crossword image from Firebase Storage
         const crosswordImage = document.getElementById('crossword-image');
         // Don't set crossOrigin - it causes CORS issues with Firebase Storage
         // crosswordImage.crossOrigin = 'anonymous';
-        crosswordImage.src = room.crosswordImageUrl;
-        
-        // Wait for image to load before clue detection
-        await new Promise((resolve) => {
-            if (crosswordImage.complete) {
-                resolve();
-            } else {
-                crosswordImage.onload = resolve;
-            }
-        });
-        
-        console.log('✅ Crossword image loaded');
+        if (room.crosswordImageUrl) {
+            crosswordImage.src = room.crosswordImageUrl;
+            
+            // Wait for image to load before clue detection
+            await new Promise((resolve) => {
+                if (crosswordImage.complete) {
+                    resolve();
+                } else {
+                    crosswordImage.onload = resolve;
+                }
+            });
+            
+            console.log('✅ Crossword image loaded');
+        } else {
+            // Imported puzzle - grid only
+            crosswordImage.removeAttribute('src');
+        }
         
         console.log('📊 Initializing grid...');
 
@@ -2536,44 +4910,43 @@ class CrosswordApp {
         // Initialize shared drawing system (single canvas overlay)
         if (!this.sharedDrawing) {
             this.sharedDrawing = new SharedDrawing();
+            this.setupToolPalette();
         }
         this.sharedDrawing.initialize(roomId, this.crosswordGrid.container);
         
+        // Offer a letter for handwriting drawn inside a cell
+        this.letterSuggester.initialize(roomId, this.crosswordGrid, this.sharedDrawing);
+        
         // Setup direction toggle button
         const directionToggle = document.getElementById('toggle-direction');
-        directionToggle.textContent = '↔️'; // Start horizontal
-        directionToggle.title = 'Change direction: Currently Horizontal (↔️)';
+        this.setDirection('horizontal'); // Start horizontal
         
         directionToggle.onclick = () => {
-            this.crosswordGrid.currentDirection = 
-                this.crosswordGrid.currentDirection === 'horizontal' ? 'vertical' : 'horizontal';
+            this.setDirection(
+                this.crosswordGrid.currentDirection === 'horizontal' ? 'vertical' : 'horizontal'
+            );
             
             const isHorizontal = this.crosswordGrid.currentDirection === 'horizontal';
-            directionToggle.textContent = isHorizontal ? '↔️' : '↕️';
-            directionToggle.title = `Change direction: Currently ${isHorizontal ? 'Horizontal (↔️)' : 'Vertical (↕️)'}`;
-            
             notifier.success(
                 `כיוון: ${isHorizontal ? 'אופקי ↔️' : 'אנכי ↕️'}`
             );
             
             console.log(`🔄 Direction changed to: ${this.crosswordGrid.currentDirection}`);
-            
-            // Refresh word highlight
-            if (this.crosswordGrid.activeCell) {
-                const row = parseInt(this.crosswordGrid.activeCell.dataset.row);
-                const col = parseInt(this.crosswordGrid.activeCell.dataset.col);
-                this.crosswordGrid.clearWordHighlight();
-                this.crosswordGrid.highlightWord(row, col);
-            }
         };
         
         // Setup mode toggle (Type vs Draw)
         const modeToggle = document.getElementById('toggle-mode');
+        const toolWrapper = document.getElementById('tool-menu-wrapper');
         modeToggle.textContent = '⌨️'; // Start in type mode
+        toolWrapper.classList.add('hidden');
         modeToggle.onclick = () => {
+            // Spectators can watch the drawing but not add to it
+            if (!this.sharedDrawing.drawMode && !accessManager.guardEdit()) return;
+            
             const isDrawMode = this.sharedDrawing.toggleDrawMode();
             modeToggle.textContent = isDrawMode ? '🖊️' : '⌨️';
             modeToggle.classList.toggle('active', isDrawMode);
+            toolWrapper.classList.toggle('hidden', !isDrawMode);
             notifier.success(isDrawMode ? 'מצב ציור 🖊️' : 'מצב הקלדה ⌨️');
             
             // Clear cell selection when entering draw mode
@@ -2582,70 +4955,290 @@ class CrosswordApp {
             }
         };
         
-        // Setup undo button
+        // Setup undo button (strokes in draw mode, letters in type mode)
         const undoBtn = document.getElementById('undo-btn');
         undoBtn.onclick = () => {
-            this.sharedDrawing.undo();
+            if (this.sharedDrawing.drawMode) {
+                this.sharedDrawing.undo();
+            } else {
+                this.crosswordGrid.undoLetter(roomId);
+            }
         };
         
         // Setup redo button
         const redoBtn = document.getElementById('redo-btn');
         redoBtn.onclick = () => {
-            this.sharedDrawing.redo();
-        };
-        
-        // Setup finish button
-        const finishBtn = document.getElementById('finish-btn');
-        finishBtn.onclick = async () => {
-            const confirmed = confirm('האם סיימת את התשבץ? זה יסמן אותו כגמור בהיסטוריה.');
-            if (confirmed) {
-                await roomManager.markRoomAsFinished(roomId);
-                notifier.success('התשבץ סומן כגמור! 🎉');
-                // Update button appearance
-                finishBtn.style.background = '#16a34a';
-                finishBtn.textContent = '✓ גמור';
+            if (this.sharedDrawing.drawMode) {
+                this.sharedDrawing.redo();
+            } else {
+                this.crosswordGrid.redoLetter(roomId);
             }
         };
         
-        // Remove clue marking panel if it exists (from old cached code)
-        setTimeout(() => {
-            const cluePanel = document.getElementById('clue-marking-panel');
-            if (cluePanel) {
-                cluePanel.remove();
-                console.log('🗑️ Removed old clue marking panel');
-            }
-        }, 1000);
+        // Completion is detected automatically by the room sync
+        this.completionShown = !!(room.status && room.status.finished);
+        this.completionCheckPending = false;
+        this.warnedIncorrect = false;
+        
+        // Roles, lock and (for the creator) the access dialog
+        accessManager.initialize(roomId, room);
+        
+        // Announce ourselves to the other participants
+        presenceManager.join(roomId);
+        
+        // Re-send edits left over from an earlier (offline) session
+        this.crosswordGrid.replayPendingEdits(roomId);
+        
+        // Clue numbering and clue crops
+        this.cluePanel.initialize(roomId, room.crosswordImageUrl, this.crosswordGrid);
+        
+        // Solution key (check / reveal)
+        this.solutionManager.initialize(roomId, room, this.crosswordGrid);
 
         // Listen for real-time updates
-        this.startRoomSync(roomId);
+        this.startRoomSync(roomId, room);
+    }
+
+    setupToolPalette() {
+        // Pen / highlighter / eraser, color and width for the shared drawing
+        const toolBtn = document.getElementById('tool-btn');
+        const toolMenu = document.getElementById('tool-menu');
+        const toolIcons = { pen: '🖊️', highlighter: '🖍️', eraser: '🧽' };
+        
+        toolBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toolMenu.classList.toggle('hidden');
+        });
+        
+        toolMenu.addEventListener('click', (e) => {
+            e.stopPropagation();
+            
+            const button = e.target.closest('button');
+            if (!button) return;
+            
+            const { tool, color, width } = button.dataset;
+            
+            if (tool) {
+                this.sharedDrawing.setTool({ tool });
+                toolBtn.textContent = toolIcons[tool];
+            } else if (color) {
+                this.sharedDrawing.setTool({ color });
+            } else if (width) {
+                this.sharedDrawing.setTool({ width: parseFloat(width) });
+            } else {
+                return;
+            }
+            
+            // Mark the choice within its row
+            button.parentElement.querySelectorAll('button').forEach(b => b.classList.remove('active'));
+            button.classList.add('active');
+        });
+        
+        document.addEventListener('click', () => {
+            toolMenu.classList.add('hidden');
+        });
     }
 
-    startRoomSync(roomId) {
+    setDirection(direction) {
+        this.crosswordGrid.currentDirection = direction;
+        
+        const isHorizontal = direction === 'horizontal';
+        const directionToggle = document.getElementById('toggle-direction');
+        directionToggle.textContent = isHorizontal ? '↔️' : '↕️';
+        directionToggle.title = `Change direction: Currently ${isHorizontal ? 'Horizontal (↔️)' : 'Vertical (↕️)'}`;
+        
+        // Refresh word highlight
+        if (this.crosswordGrid.activeCell) {
+            const row = parseInt(this.crosswordGrid.activeCell.dataset.row);
+            const col = parseInt(this.crosswordGrid.activeCell.dataset.col);
+            this.crosswordGrid.clearWordHighlight();
+            this.crosswordGrid.highlightWord(row, col);
+        }
+    }
+
+    startRoomSync(roomId, room) {
+        this.currentRoom = room;
+        this.roomStatus = room.status || null;
+        
         // Listen to Firebase real-time updates
-        roomManager.listenToRoom(roomId, (room) => {
-            if (!room) return;
-
-            // Update participant count
-            document.getElementById('participants-count').textContent = room.participants;
-            
-            // Update grid cells
-            if (room.grid) {
-                for (let row = 0; row < room.grid.length; row++) {
-                    for (let col = 0; col < room.grid[row].length; col++) {
-                        const cellData = room.grid[row][col];
-                        this.crosswordGrid.updateCellDisplay(row, col, cellData.letter);
+        roomManager.listenToRoom(roomId, this.crosswordGrid.rows, {
+            onCellChange: (row, col, cellData) => {
+                this.applyRemoteCell(row, col, cellData);
+                this.checkCompletion(roomId);
+            },
+            onStatusChange: (status) => {
+                this.roomStatus = status;
+                this.checkCompletion(roomId);
+            }
+        });
+    }
+
+    applyRemoteCell(row, col, cellData) {
+        const localCell = this.crosswordGrid.grid[row] && this.crosswordGrid.grid[row][col];
+        if (!localCell || !cellData) return;
+        
+        // A teammate replaced the letter we just typed
+        const remoteLetter = cellData.letter || '';
+        if (localCell.author === CLIENT_ID && 
+            cellData.author && cellData.author !== CLIENT_ID &&
+            localCell.letter && remoteLetter !== localCell.letter &&
+            connectionMonitor.serverNow() - (localCell.timestamp || 0) < CONFIG.CONFLICT_WINDOW) {
+            this.crosswordGrid.flagConflict(row, col, localCell.letter);
+        }
+        
+        const changed = (localCell.letter || '') !== remoteLetter || 
+                        !!localCell.revealed !== !!cellData.revealed;
+        
+        // Keep the local model current (used by letter undo)
+        localCell.letter = remoteLetter;
+        localCell.author = cellData.author || null;
+        localCell.timestamp = cellData.timestamp || null;
+        localCell.revealed = !!cellData.revealed;
+        
+        // Only touch the DOM when the cell actually changed
+        if (changed) {
+            this.crosswordGrid.updateCellDisplay(row, col, remoteLetter);
+        }
+    }
+
+    isGridComplete() {
+        const grid = this.crosswordGrid.grid;
+        return grid.every(row => row.every(cell => cell.isBlack || cell.letter));
+    }
+
+    async checkCompletion(roomId) {
+        // Someone finished the room - show the completion screen once
+        if (this.roomStatus && this.roomStatus.finished) {
+            if (!this.completionShown) {
+                this.completionShown = true;
+                this.showCompletionScreen();
+            }
+            return;
+        }
+        
+        if (!this.isGridComplete()) {
+            this.warnedIncorrect = false;
+            return;
+        }
+        
+        if (this.completionCheckPending) return;
+        this.completionCheckPending = true;
+        
+        try {
+            // A key that hasn't loaded yet would let a wrong grid through
+            await this.solutionManager.loaded();
+            if (this.solutionManager.roomId !== roomId || !this.isGridComplete()) return;
+            
+            // With a solution key, a full grid only counts if it's correct
+            if (this.solutionManager.hasSolution()) {
+                const grid = this.crosswordGrid.grid;
+                
+                for (let row = 0; row < grid.length; row++) {
+                    for (let col = 0; col < grid[row].length; col++) {
+                        const cell = grid[row][col];
+                        if (cell.isBlack) continue;
+                        
+                        if (!await this.solutionManager.isCorrect(row, col, cell.letter)) {
+                            if (!this.warnedIncorrect) {
+                                this.warnedIncorrect = true;
+                                notifier.warning('הרשת מלאה, אבל יש טעויות 🤔');
+                            }
+                            return;
+                        }
                     }
                 }
             }
-        });
+            
+            // Only the client that wins the transaction updates the history
+            const result = await roomManager.markRoomStatusFinished(roomId);
+            if (result.success && result.committed) {
+                await roomManager.markRoomAsFinished(roomId);
+            }
+        } finally {
+            this.completionCheckPending = false;
+        }
+    }
+
+    async showCompletionScreen() {
+        const dialog = document.getElementById('completion-dialog');
+        const status = this.roomStatus;
+        
+        // Elapsed time since the room was created
+        const elapsedSeconds = Math.max(0, Math.floor((status.finishedAt - this.currentRoom.createdAt) / 1000));
+        const hours = Math.floor(elapsedSeconds / 3600);
+        const minutes = Math.floor((elapsedSeconds % 3600) / 60);
+        const seconds = elapsedSeconds % 60;
+        const pad = (n) => String(n).padStart(2, '0');
+        document.getElementById('completion-time').textContent = 
+            hours > 0 ? `${hours}:${pad(minutes)}:${pad(seconds)}` : `${minutes}:${pad(seconds)}`;
+        
+        // Letters currently in the grid, per author
+        const counts = {};
+        let revealed = 0;
+        for (const row of this.crosswordGrid.grid) {
+            for (const cell of row) {
+                if (cell.isBlack || !cell.letter) continue;
+                if (cell.revealed) {
+                    revealed++;
+                    continue;
+                }
+                const author = cell.uid || cell.author || 'unknown';
+                counts[author] = (counts[author] || 0) + 1;
+            }
+        }
+        
+        // Cells name their author's uid; members map it to a display name
+        const members = await storageManager.getData(`rooms/${roomManager.currentRoomId}/members`) || {};
+        
+        const list = document.getElementById('completion-contributions');
+        list.innerHTML = '';
+        
+        Object.entries(counts)
+            .sort((a, b) => b[1] - a[1])
+            .forEach(([author, count], index) => {
+                const item = document.createElement('li');
+                const member = members[author];
+                const participant = presenceManager.participants[author];
+                const name = author === authManager.uid || author === CLIENT_ID ? 'אתה' :
+                             member ? member.name :
+                             participant ? participant.name :
+                             author === 'unknown' ? 'לא ידוע' : `שחקן ${index + 1}`;
+                item.textContent = `${name}: ${count} אותיות`;
+                list.appendChild(item);
+            });
+        
+        if (revealed > 0) {
+            const item = document.createElement('li');
+            item.textContent = `💡 נחשפו: ${revealed} אותיות`;
+            list.appendChild(item);
+        }
+        
+        dialog.classList.remove('hidden');
+        document.getElementById('completion-close').onclick = () => {
+            dialog.classList.add('hidden');
+        };
     }
 
-    async leaveRoom() {
+    async leaveRoom(navigate = true) {
         const roomId = document.getElementById('room-id-display').textContent;
+        this.cluePanel.destroy();
+        this.solutionManager.destroy();
+        this.letterSuggester.destroy();
+        accessManager.destroy();
+        document.getElementById('completion-dialog').classList.add('hidden');
+        document.getElementById('share-dialog').classList.add('hidden');
+        document.getElementById('export-dialog').classList.add('hidden');
+        presenceManager.leave();
         await roomManager.leaveRoom(roomId);
 
         this.keyboard.hide();
-        this.showScreen('home-screen');
+        
+        // When the URL changed (back button) the router picks the next screen
+        if (navigate) {
+            this.showScreen('home-screen');
+        } else {
+            this.currentScreen = null;
+        }
         notifier.success('עזבת את החדר');
     }
 
@@ -2664,8 +5257,8 @@ class CrosswordApp {
         const rows = parseInt(document.getElementById('grid-rows').value);
         const cols = parseInt(document.getElementById('grid-cols').value);
 
-        if (rows < 5 || rows > 25 || cols < 5 || cols > 25) {
-            notifier.error('גודל רשת לא חוקי (5-25)');
+        if (!this.isValidGridSize(rows, cols)) {
+            notifier.error(`גודל רשת לא חוקי (${MIN_PUZZLE_SIZE}-${MAX_PUZZLE_SIZE})`);
             return;
         }
 
@@ -2703,33 +5296,29 @@ class CrosswordApp {
             }
         };
 
-        await storageManager.saveData('grid_settings', gridSettings);
+        await storageManager.saveData(await roomManager.getSettingsPath(), gridSettings);
 
-        // Save Azure settings
+        // Save handwriting settings
+        handwritingManager.setProviderName(document.getElementById('handwriting-provider').value);
+        
         const handwritingEnabled = document.getElementById('enable-handwriting').checked;
-        if (handwritingEnabled) {
-            const endpoint = document.getElementById('azure-endpoint').value.trim();
-            const key = document.getElementById('azure-key').value.trim();
-
-            if (endpoint && key) {
-                CONFIG.AZURE_ENDPOINT = endpoint;
-                CONFIG.AZURE_KEY = key;
-                CONFIG.HANDWRITING_ENABLED = true;
-
-                await storageManager.saveData('azure_config', {
-                    endpoint,
-                    key,
-                    enabled: true
-                });
+        const endpoint = document.getElementById('azure-endpoint').value.trim().replace(/\/+$/, '');
+        const key = document.getElementById('azure-key').value.trim();
 
-                notifier.success('ההגדרות נשמרו! זיהוי כתב יד מופעל ✍️');
-            } else {
-                notifier.warning('הגדרות רשת נשמרו, אבל זיהוי כתב יד דורש Endpoint ו-Key');
-            }
+        CONFIG.AZURE_ENDPOINT = endpoint;
+        CONFIG.AZURE_KEY = key;
+        CONFIG.HANDWRITING_ENABLED = handwritingEnabled;
+
+        handwritingManager.saveLocalConfig({
+            azureEndpoint: endpoint,
+            azureKey: key,
+            enabled: handwritingEnabled
+        });
+
+        if (handwritingManager.getProviderName() === 'azure' && !(endpoint && key)) {
+            notifier.warning('ההגדרות נשמרו, אבל Azure דורש Endpoint ו-Key - נשתמש בזיהוי המקומי');
         } else {
-            CONFIG.HANDWRITING_ENABLED = false;
-            await storageManager.saveData('azure_config', { enabled: false });
-            notifier.success('ההגדרות נשמרו בהצלחה!');
+            notifier.success(handwritingEnabled ? 'ההגדרות נשמרו! זיהוי כתב יד מופעל ✍️' : 'ההגדרות נשמרו בהצלחה!');
         }
         
         setTimeout(() => {
@@ -2744,7 +5333,7 @@ class CrosswordApp {
             position: { right: 10, top: 10, width: 80, height: 80 }
         };
         
-        await storageManager.saveData('grid_settings', defaultSettings);
+        await storageManager.saveData(await roomManager.getSettingsPath(), defaultSettings);
         
         document.getElementById('grid-rows').value = 15;
         document.getElementById('grid-cols').value = 15;
@@ -2763,21 +5352,178 @@ class CrosswordApp {
         notifier.success('הרשת אופסה לברירת מחדל');
     }
 
+    getShareLink() {
+        // A link that opens the room directly (with our invite token for private rooms)
+        return accessManager.getInviteLink(accessManager.role === 'spectator' ? 'spectator' : 'player');
+    }
+
+    async shareRoom() {
+        const link = this.getShareLink();
+        
+        if (navigator.share) {
+            try {
+                await navigator.share({
+                    title: 'תשבץ משותף',
+                    text: `בואו לפתור איתי תשבץ! חדר ${roomManager.currentRoomId}`,
+                    url: link
+                });
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return; // User closed the share sheet
+                console.warn('⚠️ Share failed, showing QR code:', error);
+            }
+        }
+        
+        this.showShareQR(link);
+    }
+
+    showShareQR(link) {
+        try {
+            QRCode.toCanvas(link, document.getElementById('share-qr'));
+        } catch (error) {
+            console.error('Error generating QR code:', error);
+            notifier.error('לא ניתן ליצור קוד QR לקישור');
+            return;
+        }
+        
+        document.getElementById('share-link').value = link;
+        document.getElementById('share-dialog').classList.remove('hidden');
+    }
+
+    async exportPuzzle() {
+        const button = document.getElementById('export-confirm');
+        const format = document.getElementById('export-format').value;
+        const includeDrawing = document.getElementById('export-drawing').checked;
+        
+        button.disabled = true;
+        try {
+            if (format === 'ipuz' || format === 'json') {
+                this.exportPuzzleFile(format);
+            } else {
+                await this.puzzleExporter.export(roomManager.currentRoomId, this.crosswordGrid, this.sharedDrawing, {
+                    format,
+                    includeDrawing
+                });
+            }
+            document.getElementById('export-dialog').classList.add('hidden');
+            notifier.success(format === 'png' ? 'התמונה נשמרה!' : 'הקובץ נשמר!');
+        } catch (error) {
+            console.error('Error exporting puzzle:', error);
+            notifier.error('שגיאה בייצוא התשבץ');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    exportPuzzleFile(format) {
+        // Grid, numbering, typed clues and current fills as .ipuz or our JSON
+        const grid = this.crosswordGrid;
+        const puzzle = {
+            title: (roomManager.currentRoom && roomManager.currentRoom.name) || '',
+            rows: grid.rows,
+            cols: grid.cols,
+            cells: grid.grid.map(cellRow => cellRow.map(cell => ({ isBlack: !!cell.isBlack, letter: cell.letter || '' }))),
+            clues: grid.getWordStarts().map(start => {
+                const clue = this.cluePanel.clues[this.cluePanel.getClueKey(start.direction, start.number)];
+                return { direction: start.direction, number: start.number, row: start.row, col: start.col, text: (clue && clue.text) || '' };
+            })
+        };
+        
+        const data = format === 'ipuz' ? PuzzleFormats.toIpuz(puzzle) : PuzzleFormats.toJSON(puzzle);
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: format === 'ipuz' ? 'application/x-ipuz' : 'application/json' });
+        this.puzzleExporter.download(blob, `crossword-${roomManager.currentRoomId}.${format}`);
+    }
+
+    async importPuzzle(file) {
+        const button = document.getElementById('import-puzzle-btn');
+        
+        let puzzle;
+        try {
+            puzzle = await PuzzleFormats.read(file);
+        } catch (error) {
+            console.error('Error reading puzzle file:', error);
+            notifier.error(error.message);
+            return;
+        }
+        
+        // Cells only take Hebrew letters - anything else starts empty
+        const hebrew = (letter) => (HEBREW_RANGE.test(letter) ? letter : '');
+        const gridData = puzzle.cells.map(cellRow => cellRow.map(cell => ({
+            letter: cell.isBlack ? '' : hebrew(cell.letter),
+            isBlack: cell.isBlack,
+            timestamp: null
+        })));
+        
+        // Match the file's clues to our numbering by a cell of the word (or by number)
+        const starts = this.crosswordGrid.getWordStarts(gridData);
+        const clues = {};
+        puzzle.clues.forEach(clue => {
+            if (!clue.text) return;
+            
+            const start = starts.find(s => s.direction === clue.direction && (clue.row !== undefined
+                ? s.cells.some(cell => cell.row === clue.row && cell.col === clue.col)
+                : s.number === clue.number));
+            if (start) {
+                clues[this.cluePanel.getClueKey(start.direction, start.number)] = { text: clue.text.slice(0, 200) };
+            }
+        });
+        
+        // A solution key is only usable if every white cell has a Hebrew letter
+        const solution = puzzle.solution && puzzle.solution.every((rowLetters, row) =>
+            rowLetters.every((letter, col) => gridData[row][col].isBlack || HEBREW_RANGE.test(letter))
+        ) ? puzzle.solution : null;
+        
+        const roomName = document.getElementById('room-name-input').value.trim() || puzzle.title;
+        const visibility = document.getElementById('room-visibility').value;
+        
+        button.disabled = true;
+        button.textContent = 'יוצר חדר...';
+        
+        const result = await roomManager.createRoom(
+            null,
+            gridData,
+            { rows: puzzle.rows, cols: puzzle.cols },
+            roomName,
+            visibility,
+            Object.keys(clues).length ? clues : null
+        );
+        
+        button.disabled = false;
+        button.textContent = '📄 ייבא קובץ תשבץ';
+        
+        if (!result.success) {
+            notifier.error(result.error);
+            return;
+        }
+        
+        await roomManager.saveToHistory(result.roomId, result.room.name, null);
+        document.getElementById('room-name-input').value = '';
+        notifier.success(`התשבץ יובא! (${puzzle.rows}×${puzzle.cols}, ${Object.keys(clues).length} הגדרות)`);
+        
+        await this.enterRoom(result.roomId, result.room);
+        
+        if (solution) {
+            await this.solutionManager.saveLetters(solution);
+        } else if (puzzle.solution) {
+            notifier.warning('הפתרון בקובץ אינו בעברית - לא נשמר');
+        }
+    }
+
     async copyRoomId() {
-        const roomId = document.getElementById('room-id-display').textContent;
+        const link = this.getShareLink();
         
         try {
-            await navigator.clipboard.writeText(roomId);
-            notifier.success('הקוד הועתק ללוח!');
+            await navigator.clipboard.writeText(link);
+            notifier.success('הקישור לחדר הועתק ללוח!');
         } catch (error) {
             // Fallback for older browsers
             const input = document.createElement('input');
-            input.value = roomId;
+            input.value = link;
             document.body.appendChild(input);
             input.select();
             document.execCommand('copy');
             document.body.removeChild(input);
-            notifier.success('הקוד הועתק ללוח!');
+            notifier.success('הקישור לחדר הועתק ללוח!');
         }
     }
 
@@ -2792,6 +5538,7 @@ class CrosswordApp {
         if (targetScreen) {
             targetScreen.classList.add('active');
             this.currentScreen = screenId;
+            this.updateRoute(screenId);
 
             // Load settings when showing settings screen
             if (screenId === 'settings-screen') {
@@ -2800,6 +5547,62 @@ class CrosswordApp {
         }
     }
 
+    setupAccount() {
+        const run = async (action) => {
+            try {
+                await action();
+            } catch (error) {
+                console.error('Sign-in error:', error);
+                const messages = {
+                    'auth/wrong-password': 'סיסמה שגויה',
+                    'auth/invalid-login-credentials': 'אימייל או סיסמה שגויים',
+                    'auth/invalid-email': 'כתובת אימייל לא תקינה',
+                    'auth/weak-password': 'הסיסמה קצרה מדי (לפחות 6 תווים)',
+                    'auth/popup-closed-by-user': 'ההתחברות בוטלה'
+                };
+                notifier.error(messages[error.code] || 'ההתחברות נכשלה');
+            }
+        };
+        
+        document.getElementById('sign-in-google').addEventListener('click', () => run(async () => {
+            await authManager.signInWithGoogle();
+            notifier.success('התחברת בהצלחה');
+        }));
+        
+        document.getElementById('sign-in-email').addEventListener('click', () => run(async () => {
+            const email = prompt('אימייל:');
+            if (!email) return;
+            const password = prompt('סיסמה (חשבון חדש ייווצר אם אין):');
+            if (!password) return;
+            
+            await authManager.signInWithEmail(email.trim(), password);
+            notifier.success('התחברת בהצלחה');
+        }));
+        
+        document.getElementById('sign-out').addEventListener('click', () => run(async () => {
+            await authManager.signOut();
+            notifier.success('התנתקת');
+        }));
+        
+        authManager.onChange(user => {
+            document.getElementById('account-name').textContent = user.isAnonymous
+                ? presenceManager.getDisplayName()
+                : (user.displayName || user.email);
+            document.getElementById('account-status').textContent = user.isAnonymous
+                ? 'אורח - ההיסטוריה נשמרת רק בדפדפן הזה'
+                : (user.email || 'מחובר');
+            
+            document.getElementById('sign-in-google').classList.toggle('account-hidden', !user.isAnonymous);
+            document.getElementById('sign-in-email').classList.toggle('account-hidden', !user.isAnonymous);
+            document.getElementById('sign-out').classList.toggle('account-hidden', user.isAnonymous);
+            
+            // History belongs to the account that's signed in
+            if (this.currentScreen === 'history-screen') {
+                this.renderHistory();
+            }
+        });
+    }
+
     async showHistoryScreen() {
         this.showScreen('history-screen');
         await this.renderHistory();
@@ -2826,6 +5629,9 @@ class CrosswordApp {
             const timeStr = date.toLocaleTimeString('he-IL', { hour: '2-digit', minute: '2-digit' });
             const finishedStyle = item.finished ? 'border-right: 4px solid #22c55e;' : '';
             const finishedIcon = item.finished ? '<span style="color: #22c55e; font-size: 18px; margin-left: 8px;">✓</span>' : '';
+            const revealInfo = item.finished && item.revealCount !== undefined
+                ? (item.revealCount === 0 ? '<span>🏅 נפתר נקי</span>' : `<span>💡 ${item.revealCount} גילויים</span>`)
+                : '';
 
             return `
                 <div class="history-item" data-room-id="${item.roomId}" style="${finishedStyle}">
@@ -2837,6 +5643,7 @@ class CrosswordApp {
                             <span>📅 ${dateStr}</span>
                             <span>🕐 ${timeStr}</span>
                             ${item.finished ? '<span style="color: #22c55e;">✓ גמור</span>' : ''}
+                            ${revealInfo}
                         </div>
                     </div>
                     <div class="history-item-actions">
@@ -2881,7 +5688,7 @@ class CrosswordApp {
             notifier.success('חזרת לתשבץ!');
             this.enterRoom(result.room.id, result.room);
         } else {
-            notifier.error('החדר לא נמצא או נמחק');
+            notifier.error(result.error);
         }
     }
 
@@ -2899,7 +5706,7 @@ class CrosswordApp {
     }
 
     async loadSettingsScreen() {
-        const gridSettings = await storageManager.getData('grid_settings') || {
+        const gridSettings = await storageManager.getData(await roomManager.getSettingsPath()) || {
             rows: 15,
             cols: 15,
             position: { right: 10, top: 10, width: 80, height: 80 }
@@ -2908,14 +5715,14 @@ class CrosswordApp {
         document.getElementById('grid-rows').value = gridSettings.rows;
         document.getElementById('grid-cols').value = gridSettings.cols;
 
-        // Load MyScript configuration
-        const myScriptConfig = await storageManager.getData('myscript_config');
-        if (myScriptConfig) {
-            document.getElementById('myscript-app-key').value = myScriptConfig.appKey || '';
-            document.getElementById('myscript-hmac-key').value = myScriptConfig.hmacKey || '';
-            CONFIG.MYSCRIPT_APP_KEY = myScriptConfig.appKey;
-            CONFIG.MYSCRIPT_HMAC_KEY = myScriptConfig.hmacKey;
-        }
+        // Load handwriting configuration
+        await handwritingManager.loadConfig();
+        document.getElementById('handwriting-provider').value = handwritingManager.getProviderName();
+        document.getElementById('myscript-app-key').value = CONFIG.MYSCRIPT_APP_KEY;
+        document.getElementById('myscript-hmac-key').value = CONFIG.MYSCRIPT_HMAC_KEY;
+        document.getElementById('azure-endpoint').value = CONFIG.AZURE_ENDPOINT;
+        document.getElementById('azure-key').value = CONFIG.AZURE_KEY;
+        document.getElementById('enable-handwriting').checked = CONFIG.HANDWRITING_ENABLED;
 
         // If there's a template image, position the overlay
         const overlay = document.getElementById('grid-overlay-draggable');
@@ -0,0 +1,335 @@
+// Handwriting Recognition Providers
+// Local templates, MyScript and Azure behind one interface, with fallback between them.
+// Uses CONFIG / HEBREW_RANGE from firebase-app.js and HebrewRecognizer from hebrew-recognizer.js
+
+// Every provider takes { strokes, width, height } - strokes are arrays of {x, y, t}
+// points in a width×height box - and resolves to ranked candidates [{ letter, score }]
+class HandwritingRecognizer {
+    constructor(name, label) {
+        this.name = name;
+        this.label = label;
+    }
+
+    isAvailable() {
+        return true;
+    }
+
+    async recognize(input) {
+        throw new Error('NOT_IMPLEMENTED');
+    }
+
+    // Turn recognized texts ([{ text, score }], best first) into unique Hebrew letters
+    toCandidates(results) {
+        const candidates = [];
+        const seen = new Set();
+
+        for (const { text, score } of results) {
+            for (const char of text || '') {
+                if (!HEBREW_RANGE.test(char) || seen.has(char)) continue;
+                seen.add(char);
+                candidates.push({ letter: char, score });
+            }
+        }
+
+        return candidates;
+    }
+
+    renderToBlob(input) {
+        // Image-based services need a picture of the strokes
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(50, Math.round(input.width));
+        canvas.height = Math.max(50, Math.round(input.height));
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = 'white';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.strokeStyle = 'black';
+        ctx.lineWidth = Math.max(3, canvas.width / 30);
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+
+        for (const stroke of input.strokes) {
+            ctx.beginPath();
+            stroke.forEach((p, i) => i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y));
+            ctx.stroke();
+        }
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+}
+
+class LocalRecognizer extends HandwritingRecognizer {
+    constructor() {
+        super('local', 'מקומי (ללא רשת)');
+        this.engine = new HebrewRecognizer();
+    }
+
+    async recognize(input) {
+        return this.engine.recognize(this.toUnitBox(input));
+    }
+
+    learn(letter, input) {
+        this.engine.learn(letter, this.toUnitBox(input));
+    }
+
+    toUnitBox(input) {
+        return input.strokes.map(stroke => stroke.map(p => ({
+            x: p.x / input.width,
+            y: p.y / input.height
+        })));
+    }
+}
+
+class MyScriptRecognizer extends HandwritingRecognizer {
+    constructor() {
+        super('myscript', 'MyScript');
+    }
+
+    isAvailable() {
+        return !!(CONFIG.MYSCRIPT_APP_KEY && CONFIG.MYSCRIPT_HMAC_KEY);
+    }
+
+    async recognize(input) {
+        const data = await this.send(CONFIG.MYSCRIPT_APP_KEY, CONFIG.MYSCRIPT_HMAC_KEY, input.strokes);
+        console.log('MyScript response:', data);
+
+        // Word candidates come ranked; the label is the best guess
+        const words = data.words || [];
+        const alternatives = (words[0] && words[0].candidates) || [];
+        const texts = [data.label, ...alternatives];
+
+        return this.toCandidates(texts.map((text, i) => ({ text, score: 1 / (1 + i) })));
+    }
+
+    async send(appKey, hmacKey, strokes) {
+        const requestData = {
+            contentType: 'Text',
+            configuration: {
+                lang: 'he_IL'
+            },
+            // Stroke format: [{x, y, t}] -> {x: [], y: [], t: []}
+            strokes: strokes.map(stroke => ({
+                x: stroke.map(p => p.x),
+                y: stroke.map(p => p.y),
+                t: stroke.map(p => p.t || 0)
+            }))
+        };
+
+        const message = JSON.stringify(requestData);
+        const signature = await this.generateHMAC(hmacKey, message);
+
+        const response = await fetch('https://cloud.myscript.com/api/v4.0/iink/batch', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json',
+                'applicationKey': appKey,
+                'hmac': signature
+            },
+            body: message
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => null);
+            console.error('MyScript error:', error);
+            throw new Error('API_ERROR');
+        }
+
+        return response.json();
+    }
+
+    async generateHMAC(key, message) {
+        const encoder = new TextEncoder();
+        const keyData = encoder.encode(key);
+        const messageData = encoder.encode(message);
+        
+        const cryptoKey = await crypto.subtle.importKey(
+            'raw',
+            keyData,
+            { name: 'HMAC', hash: 'SHA-512' },
+            false,
+            ['sign']
+        );
+        
+        const signature = await crypto.subtle.sign('HMAC', cryptoKey, messageData);
+        
+        // Convert to hex string
+        return Array.from(new Uint8Array(signature))
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+}
+
+class AzureRecognizer extends HandwritingRecognizer {
+    constructor() {
+        super('azure', 'Azure');
+    }
+
+    isAvailable() {
+        return !!(CONFIG.AZURE_ENDPOINT && CONFIG.AZURE_KEY);
+    }
+
+    async recognize(input) {
+        const blob = await this.renderToBlob(input);
+        
+        // Call Azure Computer Vision API
+        const response = await fetch(
+            `${CONFIG.AZURE_ENDPOINT}/vision/v3.2/read/analyze`,
+            {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Ocp-Apim-Subscription-Key': CONFIG.AZURE_KEY
+                },
+                body: blob
+            }
+        );
+
+        if (!response.ok) {
+            throw new Error('API_ERROR');
+        }
+
+        // Get operation location
+        const operationLocation = response.headers.get('Operation-Location');
+        
+        // Poll for results
+        let result;
+        let attempts = 0;
+        while (attempts < 10) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+            
+            const resultResponse = await fetch(operationLocation, {
+                headers: {
+                    'Ocp-Apim-Subscription-Key': CONFIG.AZURE_KEY
+                }
+            });
+            
+            result = await resultResponse.json();
+            
+            if (result.status === 'succeeded') {
+                break;
+            }
+            
+            attempts++;
+        }
+
+        if (result.status !== 'succeeded') {
+            throw new Error('TIMEOUT');
+        }
+
+        // Rank every recognized word by Azure's confidence
+        const words = (result.analyzeResult?.readResults || [])
+            .flatMap(page => page.lines || [])
+            .flatMap(line => line.words || [])
+            .map(word => ({ text: word.text, score: word.confidence || 0 }))
+            .sort((a, b) => b.score - a.score);
+
+        return this.toCandidates(words);
+    }
+}
+
+class MockRecognizer extends HandwritingRecognizer {
+    // Returns fixed candidates - for testing the flow without ink or network
+    constructor(candidates = [{ letter: 'א', score: 0.9 }, { letter: 'ב', score: 0.5 }]) {
+        super('mock', 'Mock');
+        this.candidates = candidates;
+    }
+
+    async recognize(input) {
+        return this.candidates.map(candidate => ({ ...candidate }));
+    }
+}
+
+class HandwritingManager {
+    constructor() {
+        this.providers = {
+            local: new LocalRecognizer(),
+            myscript: new MyScriptRecognizer(),
+            azure: new AzureRecognizer(),
+            mock: new MockRecognizer()
+        };
+        
+        // Tried in this order after the chosen provider; local always works offline
+        this.fallbackOrder = ['myscript', 'azure', 'local'];
+    }
+
+    getProviderName() {
+        const name = localStorage.getItem('handwritingProvider');
+        return this.providers[name] ? name : 'local';
+    }
+
+    setProviderName(name) {
+        if (!this.providers[name]) return;
+        localStorage.setItem('handwritingProvider', name);
+    }
+
+    // API keys stay on this device only - the shared database is readable by anyone
+    async loadConfig() {
+        this.removeSharedConfig(); // Not awaited - it waits for sign-in
+        
+        const config = this.getLocalConfig();
+        CONFIG.MYSCRIPT_APP_KEY = config.myScriptAppKey || '';
+        CONFIG.MYSCRIPT_HMAC_KEY = config.myScriptHmacKey || '';
+        CONFIG.AZURE_ENDPOINT = config.azureEndpoint || '';
+        CONFIG.AZURE_KEY = config.azureKey || '';
+        CONFIG.HANDWRITING_ENABLED = !!config.enabled;
+    }
+
+    async removeSharedConfig() {
+        // Older versions kept keys in global nodes anyone could read - delete them, unread, once per device
+        if (localStorage.getItem('sharedConfigRemoved')) return;
+        
+        try {
+            await authManager.ready();
+            await database.ref('myscript_config').remove();
+            await database.ref('azure_config').remove();
+            localStorage.setItem('sharedConfigRemoved', 'true');
+            console.log('🔐 Removed the old shared handwriting keys');
+        } catch (error) {
+            console.error('Shared config cleanup error:', error);
+        }
+    }
+
+    getLocalConfig() {
+        try {
+            return JSON.parse(localStorage.getItem('handwritingConfig')) || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveLocalConfig(changes) {
+        const config = { ...this.getLocalConfig(), ...changes };
+        localStorage.setItem('handwritingConfig', JSON.stringify(config));
+    }
+
+    // Resolves to { provider, candidates } from the first provider that answers
+    async recognize(input) {
+        const selected = this.getProviderName();
+        const order = [selected, ...this.fallbackOrder.filter(name => name !== selected)];
+        
+        for (const name of order) {
+            const provider = this.providers[name];
+            if (!provider.isAvailable()) continue;
+            
+            try {
+                const candidates = await provider.recognize(input);
+                if (candidates.length > 0) {
+                    return { provider: name, candidates };
+                }
+            } catch (error) {
+                console.warn(`✍️ ${provider.label} recognition failed, falling back:`, error);
+            }
+        }
+        
+        return { provider: null, candidates: [] };
+    }
+
+    learn(letter, input) {
+        this.providers.local.learn(letter, input);
+    }
+}
+
+window.HandwritingRecognizer = HandwritingRecognizer;
+window.MockRecognizer = MockRecognizer;
+window.HandwritingManager = HandwritingManager;
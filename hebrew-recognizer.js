@@ -0,0 +1,253 @@
+// Offline Hebrew Letter Recognizer
+// Template matching on normalized strokes ($P point-cloud recognizer) - runs fully in the browser
+
+const RECOGNIZER_POINTS = 32; // Every gesture is resampled to this many points
+const MAX_LEARNED_PER_LETTER = 5; // Personal samples kept per letter
+const LEARNED_TEMPLATES_KEY = 'handwritingTemplates';
+
+// Built-in block-letter shapes, one array of [x, y] points per stroke (0-1 box, y down)
+const HEBREW_TEMPLATES = {
+    'א': [[[0.15, 0.1], [0.85, 0.9]], [[0.8, 0.1], [0.75, 0.3], [0.6, 0.45]], [[0.4, 0.55], [0.25, 0.7], [0.2, 0.9]]],
+    'ב': [[[0.15, 0.1], [0.8, 0.1], [0.85, 0.2], [0.85, 0.85]], [[0.1, 0.85], [0.95, 0.85]]],
+    'ג': [[[0.35, 0.1], [0.6, 0.1], [0.6, 0.9]], [[0.6, 0.55], [0.35, 0.9]]],
+    'ד': [[[0.05, 0.15], [0.95, 0.15]], [[0.75, 0.15], [0.75, 0.9]]],
+    'ה': [[[0.1, 0.1], [0.85, 0.1], [0.85, 0.9]], [[0.2, 0.45], [0.2, 0.9]]],
+    'ו': [[[0.4, 0.12], [0.55, 0.1], [0.55, 0.9]]],
+    'ז': [[[0.25, 0.12], [0.75, 0.12]], [[0.5, 0.12], [0.5, 0.9]]],
+    'ח': [[[0.15, 0.9], [0.15, 0.1], [0.85, 0.1], [0.85, 0.9]]],
+    'ט': [[[0.15, 0.1], [0.15, 0.9], [0.85, 0.9], [0.85, 0.15], [0.7, 0.1], [0.5, 0.25], [0.55, 0.45]]],
+    'י': [[[0.35, 0.1], [0.6, 0.1], [0.6, 0.25], [0.45, 0.45]]],
+    'כ': [[[0.15, 0.1], [0.75, 0.1], [0.85, 0.25], [0.85, 0.75], [0.75, 0.9], [0.15, 0.9]]],
+    'ך': [[[0.2, 0.05], [0.75, 0.05], [0.8, 0.15], [0.8, 1.0]]],
+    'ל': [[[0.2, 0.0], [0.2, 0.3], [0.8, 0.3], [0.8, 0.6], [0.45, 0.95]]],
+    'מ': [[[0.1, 0.15], [0.25, 0.15], [0.15, 0.9], [0.35, 0.9]], [[0.25, 0.15], [0.5, 0.1], [0.85, 0.1], [0.85, 0.9], [0.45, 0.9]]],
+    'ם': [[[0.15, 0.1], [0.85, 0.1], [0.85, 0.9], [0.15, 0.9], [0.15, 0.1]]],
+    'נ': [[[0.4, 0.1], [0.6, 0.1], [0.6, 0.9], [0.3, 0.9]]],
+    'ן': [[[0.4, 0.05], [0.55, 0.05], [0.55, 1.0]]],
+    'ס': [[[0.15, 0.1], [0.8, 0.1], [0.88, 0.3], [0.85, 0.7], [0.6, 0.9], [0.35, 0.9], [0.15, 0.7], [0.15, 0.1]]],
+    'ע': [[[0.15, 0.1], [0.55, 0.75]], [[0.85, 0.1], [0.55, 0.75], [0.1, 0.9]]],
+    'פ': [[[0.15, 0.1], [0.85, 0.1], [0.85, 0.9], [0.15, 0.9]], [[0.15, 0.1], [0.15, 0.4], [0.45, 0.4]]],
+    'ף': [[[0.15, 0.05], [0.8, 0.05], [0.8, 1.0]], [[0.15, 0.05], [0.15, 0.35], [0.45, 0.35]]],
+    'צ': [[[0.15, 0.1], [0.8, 0.85], [0.1, 0.85]], [[0.8, 0.1], [0.75, 0.35], [0.5, 0.5]]],
+    'ץ': [[[0.15, 0.05], [0.45, 0.45], [0.45, 1.0]], [[0.8, 0.05], [0.75, 0.3], [0.45, 0.45]]],
+    'ק': [[[0.1, 0.1], [0.85, 0.1], [0.85, 0.6]], [[0.2, 0.35], [0.2, 1.0]]],
+    'ר': [[[0.1, 0.1], [0.7, 0.1], [0.85, 0.25], [0.85, 0.9]]],
+    'ש': [[[0.1, 0.1], [0.3, 0.9], [0.85, 0.9], [0.9, 0.1]], [[0.5, 0.1], [0.5, 0.5], [0.3, 0.7]]],
+    'ת': [[[0.1, 0.1], [0.85, 0.1], [0.85, 0.9]], [[0.3, 0.1], [0.3, 0.8], [0.15, 0.9]]]
+};
+
+class HebrewRecognizer {
+    constructor() {
+        // { letter, points, learned } - points already normalized
+        this.templates = [];
+
+        for (const [letter, strokes] of Object.entries(HEBREW_TEMPLATES)) {
+            const asPoints = strokes.map(stroke => stroke.map(([x, y]) => ({ x, y })));
+            this.templates.push({ letter, points: this.normalize(asPoints), learned: false });
+        }
+
+        this.learned = this.loadLearned();
+        for (const [letter, samples] of Object.entries(this.learned)) {
+            for (const strokes of samples) {
+                this.templates.push({ letter, points: this.normalize(strokes), learned: true });
+            }
+        }
+
+        console.log(`✍️ Hebrew recognizer ready (${this.templates.length} templates)`);
+    }
+
+    // Returns ranked candidates: [{ letter, score }] best first, score 0-1
+    recognize(strokes, maxResults = 5) {
+        const usable = strokes.filter(stroke => stroke.length > 0);
+        if (!this.hasInk(usable)) return [];
+
+        const points = this.normalize(usable);
+        const best = {};
+
+        for (const template of this.templates) {
+            const distance = this.greedyCloudMatch(points, template.points);
+            if (best[template.letter] === undefined || distance < best[template.letter]) {
+                best[template.letter] = distance;
+            }
+        }
+
+        return Object.entries(best)
+            .sort((a, b) => a[1] - b[1])
+            .slice(0, maxResults)
+            .map(([letter, distance]) => ({ letter, score: 1 / (1 + distance) }));
+    }
+
+    // Keep the user's own accepted drawings as extra templates
+    learn(letter, strokes) {
+        const usable = strokes
+            .filter(stroke => stroke.length > 0)
+            .map(stroke => stroke.map(p => ({ x: p.x, y: p.y })));
+        if (!this.hasInk(usable)) return;
+
+        const samples = this.learned[letter] || [];
+        samples.push(usable);
+        this.learned[letter] = samples.slice(-MAX_LEARNED_PER_LETTER);
+        this.saveLearned();
+
+        // Rebuild this letter's learned templates
+        this.templates = this.templates.filter(t => !(t.learned && t.letter === letter));
+        for (const sample of this.learned[letter]) {
+            this.templates.push({ letter, points: this.normalize(sample), learned: true });
+        }
+    }
+
+    // Nothing drawn, or just a tap - not a letter
+    hasInk(strokes) {
+        const points = strokes.flat();
+        return points.some(p => p.x !== points[0].x || p.y !== points[0].y);
+    }
+
+    loadLearned() {
+        try {
+            return JSON.parse(localStorage.getItem(LEARNED_TEMPLATES_KEY)) || {};
+        } catch (error) {
+            console.error('Failed to load handwriting templates:', error);
+            return {};
+        }
+    }
+
+    saveLearned() {
+        try {
+            localStorage.setItem(LEARNED_TEMPLATES_KEY, JSON.stringify(this.learned));
+        } catch (error) {
+            console.error('Failed to save handwriting templates:', error);
+        }
+    }
+
+    // ========================
+    // $P point-cloud matching
+    // ========================
+
+    normalize(strokes) {
+        // Flatten to one cloud tagged with stroke index, then resample, scale and center
+        const points = [];
+        strokes.forEach((stroke, id) => {
+            stroke.forEach(p => points.push({ x: p.x, y: p.y, id }));
+        });
+
+        return this.translateToOrigin(this.scale(this.resample(points, RECOGNIZER_POINTS)));
+    }
+
+    resample(points, n) {
+        const interval = this.pathLength(points) / (n - 1);
+        const source = points.map(p => ({ ...p }));
+        const result = [{ ...source[0] }];
+        let accumulated = 0;
+
+        if (interval === 0) {
+            // A single dot - every sample is the same point
+            return Array.from({ length: n }, () => ({ ...source[0] }));
+        }
+
+        for (let i = 1; i < source.length; i++) {
+            if (source[i].id !== source[i - 1].id) continue; // No ink between strokes
+
+            const d = this.distance(source[i - 1], source[i]);
+            if (accumulated + d >= interval) {
+                const t = (interval - accumulated) / d;
+                const q = {
+                    x: source[i - 1].x + t * (source[i].x - source[i - 1].x),
+                    y: source[i - 1].y + t * (source[i].y - source[i - 1].y),
+                    id: source[i].id
+                };
+                result.push(q);
+                source.splice(i, 0, q); // q becomes the start of the next segment
+                accumulated = 0;
+            } else {
+                accumulated += d;
+            }
+        }
+
+        // Rounding can leave us one point short
+        while (result.length < n) {
+            result.push({ ...source[source.length - 1] });
+        }
+
+        return result.slice(0, n);
+    }
+
+    scale(points) {
+        // Uniform scale keeps the aspect ratio (tall ו vs short י)
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        const size = Math.max(Math.max(...xs) - minX, Math.max(...ys) - minY) || 1;
+
+        return points.map(p => ({ x: (p.x - minX) / size, y: (p.y - minY) / size, id: p.id }));
+    }
+
+    translateToOrigin(points) {
+        const cx = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+
+        return points.map(p => ({ x: p.x - cx, y: p.y - cy, id: p.id }));
+    }
+
+    greedyCloudMatch(points, template) {
+        const step = Math.floor(Math.sqrt(points.length));
+        let min = Infinity;
+
+        for (let i = 0; i < points.length; i += step) {
+            min = Math.min(
+                min,
+                this.cloudDistance(points, template, i),
+                this.cloudDistance(template, points, i)
+            );
+        }
+
+        return min;
+    }
+
+    cloudDistance(a, b, start) {
+        const matched = new Array(a.length).fill(false);
+        let sum = 0;
+        let i = start;
+
+        do {
+            let index = -1;
+            let min = Infinity;
+
+            for (let j = 0; j < b.length; j++) {
+                if (matched[j]) continue;
+
+                const d = this.distance(a[i], b[j]);
+                if (d < min) {
+                    min = d;
+                    index = j;
+                }
+            }
+
+            matched[index] = true;
+
+            // Earlier matches count more - they had more choice
+            const weight = 1 - ((i - start + a.length) % a.length) / a.length;
+            sum += weight * min;
+
+            i = (i + 1) % a.length;
+        } while (i !== start);
+
+        return sum;
+    }
+
+    pathLength(points) {
+        let length = 0;
+        for (let i = 1; i < points.length; i++) {
+            if (points[i].id === points[i - 1].id) {
+                length += this.distance(points[i - 1], points[i]);
+            }
+        }
+        return length;
+    }
+
+    distance(p1, p2) {
+        return Math.hypot(p2.x - p1.x, p2.y - p1.y);
+    }
+}
+
+window.HebrewRecognizer = HebrewRecognizer;
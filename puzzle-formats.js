@@ -0,0 +1,326 @@
+// Crossword File Formats
+// Reads .ipuz, Across Lite .puz and our own JSON; writes .ipuz and JSON - all in the browser
+//
+// Everything is converted to one shape, in the room's orientation (col 0 = rightmost column):
+// {
+//   title,
+//   rows, cols,
+//   cells: [[{ isBlack, letter }]],        // letter = fill so far ('' when empty)
+//   solution: [['א', '', ...]] or null,     // '' for black cells
+//   clues: [{ direction, text, number, row, col }]  // direction: 'horizontal' / 'vertical'
+// }
+// Imported clues have row/col (a cell of the word, from the file) and/or number.
+// The printed layout is kept: the file's leftmost column becomes our last column.
+
+const JSON_FORMAT_NAME = 'ozer-crossword';
+const JSON_FORMAT_VERSION = 1;
+const IPUZ_VERSION = 'http://ipuz.org/v2';
+const IPUZ_KIND = 'http://ipuz.org/crossword#1';
+const PUZ_HEADER_SIZE = 0x34;
+// Rows / cols a room can have - the grid builder and settings use the same limits
+const MIN_PUZZLE_SIZE = 5;
+const MAX_PUZZLE_SIZE = 25;
+
+class PuzzleFormats {
+    // Pick the parser by file extension
+    static async read(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+
+        if (extension === 'puz') {
+            return this.fromPuz(new Uint8Array(await file.arrayBuffer()));
+        }
+
+        if (extension === 'ipuz' || extension === 'json') {
+            let data;
+            try {
+                // Some .ipuz files are wrapped as ipuz(...)
+                const text = (await file.text()).trim().replace(/^ipuz\(([\s\S]*)\)$/, '$1');
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error('הקובץ אינו JSON תקין');
+            }
+
+            return data.format === JSON_FORMAT_NAME ? this.fromJSON(data) : this.fromIpuz(data);
+        }
+
+        throw new Error('סוג קובץ לא נתמך (ipuz, puz, json)');
+    }
+
+    static checkSize(rows, cols) {
+        const inRange = (size) => size >= MIN_PUZZLE_SIZE && size <= MAX_PUZZLE_SIZE;
+        if (!(inRange(rows) && inRange(cols))) {
+            throw new Error(`גודל רשת לא תקין (${rows}×${cols}, צריך ${MIN_PUZZLE_SIZE}-${MAX_PUZZLE_SIZE})`);
+        }
+    }
+
+    // ========================
+    // ipuz (http://ipuz.org)
+    // ========================
+
+    static fromIpuz(data) {
+        const kinds = [].concat(data.kind || []);
+        if (!kinds.some(kind => String(kind).startsWith('http://ipuz.org/crossword'))) {
+            throw new Error('קובץ ה-ipuz אינו תשבץ');
+        }
+
+        const rows = data.dimensions && data.dimensions.height;
+        const cols = data.dimensions && data.dimensions.width;
+        this.checkSize(rows, cols);
+
+        const block = data.block || '#';
+        const value = (cell) => (cell && typeof cell === 'object' && !Array.isArray(cell) ? (cell.cell !== undefined ? cell.cell : cell.value) : cell);
+        const at = (grid, row, fileCol) => (grid && grid[row] ? value(grid[row][fileCol]) : undefined);
+
+        const cells = [];
+        const numbered = {}; // clue number -> { row, col }
+
+        for (let row = 0; row < rows; row++) {
+            const cellRow = [];
+            for (let col = 0; col < cols; col++) {
+                const fileCol = cols - 1 - col;
+                const cell = at(data.puzzle, row, fileCol);
+                const isBlack = cell === null || cell === undefined || cell === block;
+
+                if (!isBlack && parseInt(cell) > 0) {
+                    numbered[parseInt(cell)] = { row, col };
+                }
+
+                const saved = at(data.saved, row, fileCol);
+                cellRow.push({ isBlack, letter: !isBlack && typeof saved === 'string' && saved !== block ? saved : '' });
+            }
+            cells.push(cellRow);
+        }
+
+        let solution = null;
+        if (Array.isArray(data.solution)) {
+            solution = cells.map((cellRow, row) => cellRow.map((cell, col) => {
+                const letter = at(data.solution, row, cols - 1 - col);
+                return !cell.isBlack && typeof letter === 'string' && letter !== block ? letter : '';
+            }));
+        }
+
+        const clues = [];
+        Object.entries(data.clues || {}).forEach(([label, list]) => {
+            // "Across", "Down" or "Across:Label"
+            const name = label.split(':')[0].toLowerCase();
+            const direction = name === 'across' ? 'horizontal' : name === 'down' ? 'vertical' : null;
+            if (!direction || !Array.isArray(list)) return;
+
+            list.forEach(entry => {
+                let number;
+                let text;
+                if (Array.isArray(entry)) {
+                    [number, text] = entry;
+                } else if (entry && typeof entry === 'object') {
+                    number = entry.number;
+                    text = entry.clue;
+                } else {
+                    return;
+                }
+
+                number = parseInt(Array.isArray(number) ? number[0] : number);
+                const start = numbered[number];
+                if (!start || typeof text !== 'string') return;
+
+                clues.push({ direction, text: text.trim(), number, row: start.row, col: start.col });
+            });
+        });
+
+        return { title: this.plainText(data.title), rows, cols, cells, solution, clues };
+    }
+
+    static toIpuz(puzzle) {
+        const { rows, cols, cells, clues } = puzzle;
+        const numbers = {};
+        clues.forEach(clue => { numbers[`${clue.row},${clue.col}`] = clue.number; });
+
+        // Back to the printed (left to right) column order
+        const fileGrid = (pick) => cells.map((cellRow, row) =>
+            cellRow.map((cell, col) => pick(cell, row, col)).reverse()
+        );
+
+        const clueList = (direction) => clues
+            .filter(clue => clue.direction === direction)
+            .sort((a, b) => a.number - b.number)
+            .map(clue => [clue.number, clue.text || '']);
+
+        return {
+            version: IPUZ_VERSION,
+            kind: [IPUZ_KIND],
+            title: puzzle.title || '',
+            origin: 'OzerCrossword',
+            dimensions: { width: cols, height: rows },
+            puzzle: fileGrid((cell, row, col) => (cell.isBlack ? '#' : numbers[`${row},${col}`] || 0)),
+            saved: fileGrid(cell => (cell.isBlack ? '#' : cell.letter || null)),
+            clues: {
+                Across: clueList('horizontal'),
+                Down: clueList('vertical')
+            }
+        };
+    }
+
+    // ========================
+    // Across Lite .puz (binary)
+    // ========================
+
+    static fromPuz(bytes) {
+        if (bytes.length < PUZ_HEADER_SIZE || this.readString(bytes, 0x02, 12) !== 'ACROSS&DOWN') {
+            throw new Error('קובץ ה-puz אינו תקין');
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        const cols = bytes[0x2C];
+        const rows = bytes[0x2D];
+        const clueCount = view.getUint16(0x2E, true);
+        const scrambled = view.getUint16(0x32, true) !== 0;
+        const version = parseFloat(this.readString(bytes, 0x18, 4)) || 1;
+        this.checkSize(rows, cols);
+
+        const size = rows * cols;
+        if (bytes.length < PUZ_HEADER_SIZE + size * 2) {
+            throw new Error('קובץ ה-puz אינו תקין');
+        }
+
+        // Boards are one byte per cell - Hebrew files use the Windows code page.
+        // Version 2 strings are UTF-8
+        const boardDecoder = new TextDecoder('windows-1255');
+        const decoder = new TextDecoder(version >= 2 ? 'utf-8' : 'windows-1255');
+        const charAt = (board, index) => boardDecoder.decode(bytes.subarray(board + index, board + index + 1));
+        const solutionBoard = PUZ_HEADER_SIZE;
+        const stateBoard = PUZ_HEADER_SIZE + size;
+
+        // The file is stored left to right - mirror into our columns
+        const fileIndex = (row, col) => row * cols + (cols - 1 - col);
+        const isBlack = (row, col) => charAt(solutionBoard, fileIndex(row, col)) === '.';
+
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            const cellRow = [];
+            for (let col = 0; col < cols; col++) {
+                const state = charAt(stateBoard, fileIndex(row, col));
+                cellRow.push({ isBlack: isBlack(row, col), letter: state === '-' || state === '.' ? '' : state });
+            }
+            cells.push(cellRow);
+        }
+
+        const solution = scrambled ? null : cells.map((cellRow, row) =>
+            cellRow.map((cell, col) => (cell.isBlack ? '' : charAt(solutionBoard, fileIndex(row, col))))
+        );
+
+        // Null-terminated strings: title, author, copyright, then the clues
+        let offset = stateBoard + size;
+        const nextString = () => {
+            let end = offset;
+            while (end < bytes.length && bytes[end] !== 0) end++;
+            const text = decoder.decode(bytes.subarray(offset, end));
+            offset = end + 1;
+            return text;
+        };
+
+        const title = nextString();
+        nextString(); // Author
+        nextString(); // Copyright
+        const texts = Array.from({ length: clueCount }, nextString);
+
+        // Clues come in the file's (left to right) numbering order, across before down
+        const clues = [];
+        const open = (row, fileCol) => row >= 0 && row < rows && fileCol >= 0 && fileCol < cols &&
+            bytes[solutionBoard + row * cols + fileCol] !== 0x2E; // '.'
+        let number = 0;
+
+        for (let row = 0; row < rows; row++) {
+            for (let fileCol = 0; fileCol < cols; fileCol++) {
+                if (!open(row, fileCol)) continue;
+
+                const startsAcross = !open(row, fileCol - 1) && open(row, fileCol + 1);
+                const startsDown = !open(row - 1, fileCol) && open(row + 1, fileCol);
+                if (!startsAcross && !startsDown) continue;
+
+                number++;
+                const col = cols - 1 - fileCol;
+                if (startsAcross && texts.length) clues.push({ direction: 'horizontal', text: texts.shift().trim(), number, row, col });
+                if (startsDown && texts.length) clues.push({ direction: 'vertical', text: texts.shift().trim(), number, row, col });
+            }
+        }
+
+        return { title, rows, cols, cells, solution, clues };
+    }
+
+    static readString(bytes, offset, length) {
+        return String.fromCharCode(...bytes.subarray(offset, offset + length)).replace(/\0.*$/, '');
+    }
+
+    // ========================
+    // JSON (see README)
+    // ========================
+
+    static fromJSON(data) {
+        if (data.version > JSON_FORMAT_VERSION) {
+            throw new Error('הקובץ נוצר בגרסה חדשה יותר');
+        }
+
+        const rows = data.rows;
+        const cols = data.cols;
+        this.checkSize(rows, cols);
+
+        const parseRows = (lines) => {
+            if (!Array.isArray(lines) || lines.length !== rows) {
+                throw new Error(`צריך ${rows} שורות ברשת`);
+            }
+            return lines.map((line, row) => {
+                const chars = typeof line === 'string' ? Array.from(line) : [];
+                if (chars.length !== cols) {
+                    throw new Error(`שורה ${row + 1}: צריך ${cols} תווים`);
+                }
+                return chars;
+            });
+        };
+
+        const grid = parseRows(data.grid);
+        const cells = grid.map(chars => chars.map(char => ({
+            isBlack: char === '#',
+            letter: char === '#' || char === '.' ? '' : char
+        })));
+
+        let solution = null;
+        if (data.solution) {
+            solution = parseRows(data.solution).map((chars, row) =>
+                chars.map((char, col) => (cells[row][col].isBlack || char === '.' ? '' : char))
+            );
+        }
+
+        const clues = [];
+        ['horizontal', 'vertical'].forEach(direction => {
+            Object.entries((data.clues && data.clues[direction]) || {}).forEach(([number, text]) => {
+                clues.push({ direction, text: String(text).trim(), number: parseInt(number) });
+            });
+        });
+
+        return { title: data.title || '', rows, cols, cells, solution, clues };
+    }
+
+    static toJSON(puzzle) {
+        const clues = { horizontal: {}, vertical: {} };
+        puzzle.clues.forEach(clue => {
+            clues[clue.direction][clue.number] = clue.text || '';
+        });
+
+        return {
+            format: JSON_FORMAT_NAME,
+            version: JSON_FORMAT_VERSION,
+            title: puzzle.title || '',
+            rows: puzzle.rows,
+            cols: puzzle.cols,
+            // One string per row in reading order (right to left): '#' black, '.' empty
+            grid: puzzle.cells.map(cellRow => cellRow.map(cell => (cell.isBlack ? '#' : cell.letter || '.')).join('')),
+            clues
+        };
+    }
+
+    static plainText(text) {
+        // ipuz titles may contain simple HTML
+        return typeof text === 'string' ? text.replace(/<[^>]*>/g, '').trim() : '';
+    }
+}
+
+window.PuzzleFormats = PuzzleFormats;
@@ -0,0 +1,397 @@
+// QR Code Generator
+// Byte-mode encoder (versions 1-10, error correction M) - runs fully in the browser, no external service
+
+const QR_MAX_VERSION = 10;
+const QR_FORMAT_BITS_M = 0; // Error correction level M in the format info
+
+// Per version: [error correction codewords per block, [blocks, data codewords per block], ...]
+const QR_BLOCKS_M = [
+    null,
+    [10, [1, 16]],
+    [16, [1, 28]],
+    [26, [1, 44]],
+    [18, [2, 32]],
+    [24, [2, 43]],
+    [16, [4, 27]],
+    [18, [4, 31]],
+    [22, [2, 38], [2, 39]],
+    [22, [3, 36], [2, 37]],
+    [26, [4, 43], [1, 44]]
+];
+
+// Alignment pattern centers per version
+const QR_ALIGNMENT = [
+    null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34],
+    [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]
+];
+
+// Leftover bits after the last codeword
+const QR_REMAINDER_BITS = [0, 0, 7, 7, 7, 7, 7, 0, 0, 0, 0];
+
+class QRCode {
+    constructor(text) {
+        const bytes = Array.from(new TextEncoder().encode(text));
+
+        this.version = this.chooseVersion(bytes.length);
+        this.size = this.version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+        this.drawFunctionPatterns();
+        this.drawCodewords(this.addErrorCorrection(this.encodeData(bytes)));
+        this.mask = this.applyBestMask();
+    }
+
+    // Draw onto a canvas - moduleSize px per module with a quiet zone around it
+    static toCanvas(text, canvas, moduleSize = 6, margin = 4) {
+        const qr = new QRCode(text);
+        const size = (qr.size + margin * 2) * moduleSize;
+        canvas.width = size;
+        canvas.height = size;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, size, size);
+        ctx.fillStyle = '#000000';
+
+        for (let y = 0; y < qr.size; y++) {
+            for (let x = 0; x < qr.size; x++) {
+                if (qr.modules[y][x]) {
+                    ctx.fillRect((x + margin) * moduleSize, (y + margin) * moduleSize, moduleSize, moduleSize);
+                }
+            }
+        }
+
+        return qr;
+    }
+
+    chooseVersion(length) {
+        for (let version = 1; version <= QR_MAX_VERSION; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + length * 8 <= this.getDataCodewords(version) * 8) {
+                return version;
+            }
+        }
+        throw new Error('Text too long for a QR code');
+    }
+
+    getDataCodewords(version) {
+        const [, ...groups] = QR_BLOCKS_M[version];
+        return groups.reduce((sum, [blocks, data]) => sum + blocks * data, 0);
+    }
+
+    // ========================
+    // Data encoding
+    // ========================
+
+    encodeData(bytes) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        append(0b0100, 4); // Byte mode
+        append(bytes.length, this.version < 10 ? 8 : 16);
+        bytes.forEach(b => append(b, 8));
+
+        // Terminator, then pad to a whole byte
+        const capacity = this.getDataCodewords(this.version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+        }
+
+        // Alternating pad bytes fill the rest
+        for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+
+        return codewords;
+    }
+
+    addErrorCorrection(data) {
+        const [ecLength, ...groups] = QR_BLOCKS_M[this.version];
+        const divisor = this.reedSolomonDivisor(ecLength);
+        const dataBlocks = [];
+        const ecBlocks = [];
+        let offset = 0;
+
+        for (const [blocks, length] of groups) {
+            for (let i = 0; i < blocks; i++) {
+                const block = data.slice(offset, offset + length);
+                offset += length;
+                dataBlocks.push(block);
+                ecBlocks.push(this.reedSolomonRemainder(block, divisor));
+            }
+        }
+
+        // Interleave: first codeword of every block, then the second...
+        const result = [];
+        const maxData = Math.max(...dataBlocks.map(b => b.length));
+        for (let i = 0; i < maxData; i++) {
+            dataBlocks.forEach(block => { if (i < block.length) result.push(block[i]); });
+        }
+        for (let i = 0; i < ecLength; i++) {
+            ecBlocks.forEach(block => result.push(block[i]));
+        }
+
+        return result;
+    }
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = this.gfMultiply(result[j], root);
+                if (j + 1 < degree) result[j] ^= result[j + 1];
+            }
+            root = this.gfMultiply(root, 0x02);
+        }
+
+        return result;
+    }
+
+    reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+
+        for (const b of data) {
+            const factor = b ^ result.shift();
+            result.push(0);
+            divisor.forEach((coef, i) => { result[i] ^= this.gfMultiply(coef, factor); });
+        }
+
+        return result;
+    }
+
+    gfMultiply(x, y) {
+        // GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    // ========================
+    // Module placement
+    // ========================
+
+    setFunctionModule(x, y, dark) {
+        this.modules[y][x] = dark;
+        this.isFunction[y][x] = true;
+    }
+
+    drawFunctionPatterns() {
+        // Timing patterns
+        for (let i = 0; i < this.size; i++) {
+            this.setFunctionModule(6, i, i % 2 === 0);
+            this.setFunctionModule(i, 6, i % 2 === 0);
+        }
+
+        // Finder patterns in three corners
+        this.drawFinder(3, 3);
+        this.drawFinder(this.size - 4, 3);
+        this.drawFinder(3, this.size - 4);
+
+        // Alignment patterns, except where they would overlap a finder
+        const positions = QR_ALIGNMENT[this.version];
+        const last = positions.length - 1;
+        positions.forEach((y, i) => {
+            positions.forEach((x, j) => {
+                const nearFinder = (i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0);
+                if (!nearFinder) this.drawAlignment(x, y);
+            });
+        });
+
+        // Reserve the format areas now, real bits go in with the mask
+        this.drawFormatBits(0);
+        this.drawVersionBits();
+    }
+
+    drawFinder(cx, cy) {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x < 0 || y < 0 || x >= this.size || y >= this.size) continue;
+
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                this.setFunctionModule(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    }
+
+    drawAlignment(cx, cy) {
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                this.setFunctionModule(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }
+
+    drawFormatBits(mask) {
+        const data = (QR_FORMAT_BITS_M << 3) | mask;
+        let rem = data;
+        for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+        const bits = ((data << 10) | rem) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+        this.setFunctionModule(8, 7, bit(6));
+        this.setFunctionModule(8, 8, bit(7));
+        this.setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunctionModule(this.size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunctionModule(8, this.size - 15 + i, bit(i));
+        this.setFunctionModule(8, this.size - 8, true); // Always dark
+    }
+
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let rem = this.version;
+        for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+        const bits = (this.version << 12) | rem;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            this.setFunctionModule(a, b, dark);
+            this.setFunctionModule(b, a, dark);
+        }
+    }
+
+    drawCodewords(codewords) {
+        const totalBits = codewords.length * 8 + QR_REMAINDER_BITS[this.version];
+        let i = 0;
+
+        // Zigzag up and down in two-module columns from the bottom right, skipping the timing column
+        for (let right = this.size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+
+            for (let vert = 0; vert < this.size; vert++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? this.size - 1 - vert : vert;
+
+                    if (this.isFunction[y][x] || i >= totalBits) continue;
+
+                    if (i < codewords.length * 8) {
+                        this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    }
+                    i++;
+                }
+            }
+        }
+    }
+
+    // ========================
+    // Masking
+    // ========================
+
+    applyMask(mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x, y) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+            (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+            (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+        ];
+
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.isFunction[y][x] && patterns[mask](x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    applyBestMask() {
+        let bestMask = 0;
+        let bestPenalty = Infinity;
+
+        for (let mask = 0; mask < 8; mask++) {
+            this.applyMask(mask);
+            this.drawFormatBits(mask);
+            const penalty = this.getPenalty();
+            if (penalty < bestPenalty) {
+                bestPenalty = penalty;
+                bestMask = mask;
+            }
+            this.applyMask(mask); // XOR again to undo
+        }
+
+        this.applyMask(bestMask);
+        this.drawFormatBits(bestMask);
+        return bestMask;
+    }
+
+    getPenalty() {
+        // Standard scoring: long runs, 2x2 blocks, finder look-alikes, dark/light balance
+        const size = this.size;
+        const get = (x, y) => this.modules[y][x];
+        let penalty = 0;
+        let dark = 0;
+
+        const scoreLine = (line) => {
+            let score = 0;
+            let run = 1;
+            for (let i = 1; i <= line.length; i++) {
+                if (i < line.length && line[i] === line[i - 1]) {
+                    run++;
+                } else {
+                    if (run >= 5) score += run - 2;
+                    run = 1;
+                }
+            }
+
+            const text = line.map(m => (m ? '1' : '0')).join('');
+            const finderLike = text.match(/(?=10111010000|00001011101)/g);
+            if (finderLike) score += finderLike.length * 40;
+            return score;
+        };
+
+        for (let i = 0; i < size; i++) {
+            const row = [];
+            const column = [];
+            for (let j = 0; j < size; j++) {
+                row.push(get(j, i));
+                column.push(get(i, j));
+                if (get(j, i)) dark++;
+            }
+            penalty += scoreLine(row) + scoreLine(column);
+        }
+
+        for (let y = 0; y < size - 1; y++) {
+            for (let x = 0; x < size - 1; x++) {
+                const color = get(x, y);
+                if (color === get(x + 1, y) && color === get(x, y + 1) && color === get(x + 1, y + 1)) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        const percent = dark * 100 / (size * size);
+        penalty += Math.floor(Math.abs(percent - 50) / 5) * 10;
+
+        return penalty;
+    }
+}
+
+window.QRCode = QRCode;
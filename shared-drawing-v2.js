@@ -1,27 +1,55 @@
 // Single Large Canvas Drawing System
 // One canvas for entire grid, coordinates normalized 0-1
 
+const LIVE_STROKE_THROTTLE = 100; // ms between live stroke updates
+
+// Drawing tools
+const DEFAULT_TOOL = { tool: 'pen', color: '#000000', width: 1.0 };
+const HIGHLIGHTER_ALPHA = 0.35;
+const HIGHLIGHTER_WIDTH_SCALE = 8; // Highlighter is much wider than the pen
+const ERASER_RADIUS = 8; // px around the eraser that counts as touching a stroke
+
 class SharedDrawing {
     constructor() {
         this.roomId = null;
         this.drawMode = false;
         this.isDrawing = false;
-        this.isInDrawingSession = false;
         this.currentStroke = [];
         
-        // All strokes with normalized coordinates (0-1 scale)
-        this.strokes = [];
+        // All strokes by Firebase push ID: { author, points } with normalized coordinates (0-1 scale)
+        this.strokes = new Map();
+        this.ownStrokeIds = []; // This user's strokes, oldest first (for undo)
         this.undoneStrokes = [];
         
         this.gridElement = null;
         this.canvas = null;
         this.ctx = null;
         
-        this.strokesListener = null;
-        this.syncTimer = null;
+        this.strokesRef = null;
+        
+        // Current tool, stored with every stroke so everyone renders it the same
+        this.tool = { ...DEFAULT_TOOL };
+        
+        // Called with (id, stroke) after this user finishes a pen stroke
+        this.onStroke = null;
+        
+        // Teammates' in-progress strokes by client ID: { color, points }
+        this.liveStrokes = {};
+        this.liveStrokesRef = null;
+        this.liveRef = null;
+        this.liveTimer = null;
+        this.liveCanvas = null;
+        this.liveCtx = null;
     }
 
     initialize(roomId, gridElement) {
+        // Drop listeners and strokes from a previous room
+        this.detachFirebaseSync();
+        this.strokes = new Map();
+        this.ownStrokeIds = [];
+        this.undoneStrokes = [];
+        this.liveStrokes = {};
+        
         this.roomId = roomId;
         this.gridElement = gridElement;
         
@@ -30,6 +58,8 @@ class SharedDrawing {
         setTimeout(() => {
             this.createCanvas();
             this.setupFirebaseSync();
+            this.setupLiveSync();
+            this.replayPendingStrokes();
         }, 800);
     }
 
@@ -71,12 +101,31 @@ class SharedDrawing {
         
         this.gridElement.appendChild(canvas);
         
+        // Second layer for teammates' in-progress strokes, redrawn on every update
+        const liveCanvas = canvas.cloneNode();
+        liveCanvas.id = 'grid-live-canvas';
+        liveCanvas.style.pointerEvents = 'none';
+        liveCanvas.style.zIndex = '6';
+        
+        const liveCtx = liveCanvas.getContext('2d');
+        liveCtx.scale(dpr, dpr);
+        liveCtx.lineCap = 'round';
+        liveCtx.lineJoin = 'round';
+        
+        this.liveCanvas = liveCanvas;
+        this.liveCtx = liveCtx;
+        
+        this.gridElement.appendChild(liveCanvas);
+        
         console.log(`✅ Canvas created successfully!`);
         console.log(`   Internal: ${canvas.width}×${canvas.height}`);
         console.log(`   CSS: ${gridRect.width.toFixed(1)}×${gridRect.height.toFixed(1)}`);
         console.log(`   In DOM: ${document.getElementById('grid-drawing-canvas') ? 'YES' : 'NO'}`);
         
         this.setupEvents();
+        
+        // Strokes synced while we waited for the grid
+        this.redraw();
     }
 
     setupEvents() {
@@ -107,23 +156,42 @@ class SharedDrawing {
         if (!this.drawMode) return;
         
         this.isDrawing = true;
-        this.isInDrawingSession = true;
         
         const pt = this.getPosition(e);
+        
+        if (this.tool.tool === 'eraser') {
+            this.currentStroke = [];
+            this.eraseAt(pt);
+            return;
+        }
+        
         this.currentStroke = [pt];
+        this.streamLiveStroke();
     }
 
     pointerMove(e) {
         if (!this.isDrawing) return;
         
         const pt = this.getPosition(e);
+        
+        if (this.tool.tool === 'eraser') {
+            this.eraseAt(pt);
+            return;
+        }
+        
         this.currentStroke.push(pt);
         
         // Draw immediately
-        if (this.currentStroke.length >= 2) {
+        if (this.tool.tool === 'highlighter') {
+            // Semi-transparent segments would darken where they overlap - redraw as one path
+            this.redraw();
+            this.drawStroke({ ...this.tool, points: this.currentStroke });
+        } else if (this.currentStroke.length >= 2) {
             const prev = this.currentStroke[this.currentStroke.length - 2];
-            this.drawSegment(prev, pt);
+            this.drawSegment(prev, pt, this.ctx, this.tool.color, this.tool.width);
         }
+        
+        this.streamLiveStroke();
     }
 
     pointerUp() {
@@ -132,21 +200,20 @@ class SharedDrawing {
         
         if (this.currentStroke.length < 2) {
             this.currentStroke = [];
+            this.clearLiveStroke();
             return;
         }
         
-        this.strokes.push(this.currentStroke);
+        // Commit first so teammates get the final stroke before the live one disappears
+        const id = this.commitStroke({ ...this.tool, points: this.currentStroke });
         this.undoneStrokes = [];
+        this.clearLiveStroke();
         
-        console.log(`✅ Stroke: ${this.currentStroke.length} points`);
-        
-        if (this.syncTimer) clearTimeout(this.syncTimer);
+        if (this.onStroke && this.tool.tool === 'pen') {
+            this.onStroke(id, this.strokes.get(id));
+        }
         
-        this.syncTimer = setTimeout(() => {
-            this.isInDrawingSession = false;
-            this.sync();
-            this.syncTimer = null;
-        }, 800);
+        console.log(`✅ Stroke: ${this.currentStroke.length} points`);
         
         this.currentStroke = [];
     }
@@ -175,7 +242,7 @@ class SharedDrawing {
         return pt;
     }
 
-    drawSegment(p1, p2) {
+    drawSegment(p1, p2, ctx = this.ctx, color = DEFAULT_TOOL.color, width = DEFAULT_TOOL.width) {
         const rect = this.canvas.getBoundingClientRect();
         
         // Convert normalized to pixels
@@ -184,21 +251,125 @@ class SharedDrawing {
         const x2 = p2.x * rect.width;
         const y2 = p2.y * rect.height;
         
-        this.ctx.strokeStyle = '#000000';
-        this.ctx.lineWidth = 1.0;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
         
-        this.ctx.beginPath();
-        this.ctx.moveTo(x1, y1);
-        this.ctx.lineTo(x2, y2);
-        this.ctx.stroke();
+        ctx.beginPath();
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+        ctx.stroke();
+    }
+
+    drawStroke(stroke, ctx = this.ctx, rect = this.canvas && this.canvas.getBoundingClientRect(), scale = 1) {
+        // Synced strokes can arrive before the canvas exists - redraw() paints them later
+        if (!ctx || !rect) return;
+        
+        const points = stroke.points;
+        if (points.length < 2) return;
+        
+        const isHighlighter = stroke.tool === 'highlighter';
+        const width = (stroke.width || DEFAULT_TOOL.width) * scale;
+        
+        ctx.save();
+        ctx.strokeStyle = stroke.color || DEFAULT_TOOL.color;
+        ctx.lineWidth = isHighlighter ? width * HIGHLIGHTER_WIDTH_SCALE : width;
+        ctx.globalAlpha = isHighlighter ? HIGHLIGHTER_ALPHA : 1;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        
+        // One path per stroke so highlighter overlap stays even
+        ctx.beginPath();
+        ctx.moveTo(points[0].x * rect.width, points[0].y * rect.height);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x * rect.width, points[i].y * rect.height);
+        }
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    // Paint all committed strokes onto another context (e.g. an export) covering width×height
+    drawTo(ctx, width, height) {
+        if (!this.canvas) return;
+        
+        // Line widths are in screen pixels - scale them with the target
+        const scale = width / (this.canvas.getBoundingClientRect().width || width);
+        
+        for (const stroke of this.strokes.values()) {
+            this.drawStroke(stroke, ctx, { width, height }, scale);
+        }
+    }
+
+    setTool(changes) {
+        this.tool = { ...this.tool, ...changes };
+        console.log(`🎨 Tool: ${this.tool.tool} ${this.tool.color} ${this.tool.width}`);
+    }
+
+    eraseAt(pt) {
+        // Stroke eraser: removes any stroke (anyone's) passing near the pointer
+        const rect = this.canvas.getBoundingClientRect();
+        const x = pt.x * rect.width;
+        const y = pt.y * rect.height;
+        
+        let erased = false;
+        
+        for (const [id, stroke] of this.strokes) {
+            const width = stroke.tool === 'highlighter'
+                ? (stroke.width || DEFAULT_TOOL.width) * HIGHLIGHTER_WIDTH_SCALE
+                : (stroke.width || DEFAULT_TOOL.width);
+            const radius = ERASER_RADIUS + width / 2;
+            
+            const points = stroke.points;
+            for (let i = 0; i < points.length; i++) {
+                const a = points[Math.max(0, i - 1)];
+                const b = points[i];
+                const dist = this.distanceToSegment(
+                    x, y,
+                    a.x * rect.width, a.y * rect.height,
+                    b.x * rect.width, b.y * rect.height
+                );
+                
+                if (dist <= radius) {
+                    this.strokes.delete(id);
+                    this.writeStroke(id, null);
+                    erased = true;
+                    break;
+                }
+            }
+        }
+        
+        if (erased) this.redraw();
+    }
+
+    distanceToSegment(px, py, x1, y1, x2, y2) {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const lengthSq = dx * dx + dy * dy;
+        
+        let t = lengthSq === 0 ? 0 : ((px - x1) * dx + (py - y1) * dy) / lengthSq;
+        t = Math.max(0, Math.min(1, t));
+        
+        return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
     }
 
     redraw() {
+        if (!this.ctx) return;
+        
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        for (const stroke of this.strokes) {
-            for (let i = 1; i < stroke.length; i++) {
-                this.drawSegment(stroke[i-1], stroke[i]);
+        for (const stroke of this.strokes.values()) {
+            this.drawStroke(stroke);
+        }
+    }
+
+    redrawLive() {
+        if (!this.liveCtx) return;
+        
+        this.liveCtx.clearRect(0, 0, this.liveCanvas.width, this.liveCanvas.height);
+        
+        for (const live of Object.values(this.liveStrokes)) {
+            const points = live.points || [];
+            for (let i = 1; i < points.length; i++) {
+                this.drawSegment(points[i-1], points[i], this.liveCtx, live.color);
             }
         }
     }
@@ -217,83 +388,219 @@ class SharedDrawing {
     }
 
     undo() {
-        if (this.syncTimer) {
-            clearTimeout(this.syncTimer);
-            this.syncTimer = null;
+        // Only this user's own strokes - never a teammate's
+        while (this.ownStrokeIds.length > 0) {
+            const id = this.ownStrokeIds.pop();
+            const stroke = this.strokes.get(id);
+            if (!stroke) continue; // Already removed
+            
+            this.strokes.delete(id);
+            this.undoneStrokes.push(stroke);
+            this.redraw();
+            this.writeStroke(id, null);
+            return;
         }
-        
-        if (this.strokes.length === 0) return;
-        
-        this.undoneStrokes.push(this.strokes.pop());
-        this.redraw();
-        this.sync();
     }
 
     redo() {
-        if (this.syncTimer) {
-            clearTimeout(this.syncTimer);
-            this.syncTimer = null;
-        }
-        
         if (this.undoneStrokes.length === 0) return;
         
-        this.strokes.push(this.undoneStrokes.pop());
+        this.commitStroke(this.undoneStrokes.pop());
         this.redraw();
-        this.sync();
     }
 
-    clearAll() {
-        this.strokes = [];
-        this.undoneStrokes = [];
+    removeStrokes(ids) {
+        for (const id of ids) {
+            if (this.strokes.delete(id)) {
+                this.writeStroke(id, null);
+            }
+        }
         this.redraw();
-        this.sync();
     }
 
-    sync() {
+    getStrokesRef() {
+        const db = window.database || firebase.database();
+        return db.ref(`rooms/${this.roomId}/strokes`);
+    }
+
+    commitStroke(stroke) {
+        // Each stroke is its own child, so simultaneous drawers don't overwrite each other
+        const id = this.getStrokesRef().push().key;
+        const data = {
+            ...stroke,
+            author: window.CLIENT_ID || null,
+            createdAt: Date.now()
+        };
+        
+        this.strokes.set(id, data);
+        this.ownStrokeIds.push(id);
+        this.writeStroke(id, data);
+        
+        return id;
+    }
+
+    writeStroke(id, stroke) {
         if (!this.roomId) return;
         
-        const db = window.database || firebase.database();
-        const ref = db.ref(`rooms/${this.roomId}/strokes`);
+        const ref = this.getStrokesRef().child(id);
+        const write = () => stroke ? ref.set(stroke) : ref.remove();
         
-        if (this.strokes.length === 0) {
-            ref.set(null);
-        } else {
-            ref.set(this.strokes);
+        // Keep a local copy until the server confirms (survives reloads while offline)
+        const queue = window.offlineQueue;
+        if (!queue) {
+            write();
+            return;
         }
+        
+        const key = `stroke:${this.roomId}:${id}`;
+        const timestamp = Date.now();
+        
+        queue.put({ key, type: 'stroke', roomId: this.roomId, strokeId: id, stroke, timestamp })
+            .then(write)
+            .then(() => queue.remove(key, timestamp))
+            .catch(error => console.error('❌ Stroke sync error:', error));
     }
 
-    setupFirebaseSync() {
-        const db = window.database || firebase.database();
-        const ref = db.ref(`rooms/${this.roomId}/strokes`);
+    async replayPendingStrokes() {
+        const queue = window.offlineQueue;
+        if (!queue) return;
+        
+        const edits = await queue.getRoomEdits(this.roomId);
+        let replayed = 0;
         
-        this.strokesListener = ref.on('value', (snap) => {
-            const data = snap.val();
+        for (const edit of edits) {
+            if (edit.type !== 'stroke' || queue.isInFlight(edit)) continue;
             
-            if (!data) {
-                this.strokes = [];
-                this.redraw();
-                return;
+            // Push IDs are unique, so an add or remove can be re-sent as is
+            if (edit.stroke) {
+                this.strokes.set(edit.strokeId, edit.stroke);
+                this.ownStrokeIds.push(edit.strokeId);
+            } else {
+                this.strokes.delete(edit.strokeId);
             }
             
-            if (this.isInDrawingSession) return;
+            this.writeStroke(edit.strokeId, edit.stroke);
+            replayed++;
+        }
+        
+        if (replayed > 0) {
+            console.log(`🔁 Replaying ${replayed} pending stroke edits`);
+            this.redraw();
+        }
+    }
+
+    normalizeStroke(data) {
+        if (!data) return null;
+        
+        // Strokes saved before per-stroke sync were bare arrays of points
+        if (Array.isArray(data)) {
+            return { ...DEFAULT_TOOL, author: null, points: data };
+        }
+        
+        // Strokes saved before drawing tools have no tool metadata
+        return Array.isArray(data.points) ? { ...DEFAULT_TOOL, ...data } : null;
+    }
+
+    setupFirebaseSync() {
+        const ref = this.getStrokesRef();
+        this.strokesRef = ref;
+        
+        ref.on('child_added', (snap) => {
+            if (this.strokes.has(snap.key)) return; // Our own stroke, already drawn
+            
+            const stroke = this.normalizeStroke(snap.val());
+            if (!stroke) return;
+            
+            this.strokes.set(snap.key, stroke);
+            this.drawStroke(stroke);
+        });
+        
+        ref.on('child_removed', (snap) => {
+            if (!this.strokes.delete(snap.key)) return;
             
-            const curr = JSON.stringify(this.strokes);
-            const next = JSON.stringify(data);
+            console.log(`📥 Stroke removed: ${snap.key}`);
+            this.redraw();
+        });
+    }
+
+    getLiveColor() {
+        const presence = window.presenceManager;
+        return presence ? presence.getColor() : '#2196F3';
+    }
+
+    streamLiveStroke() {
+        // Throttled: send at most one update per LIVE_STROKE_THROTTLE
+        if (this.liveTimer || !this.roomId) return;
+        
+        this.liveTimer = setTimeout(() => {
+            this.liveTimer = null;
+            if (!this.isDrawing || this.currentStroke.length < 2) return;
             
-            if (next !== curr) {
-                this.strokes = data;
-                this.redraw();
-                console.log(`📥 Received ${this.strokes.length} strokes`);
+            if (!this.liveRef) {
+                const db = window.database || firebase.database();
+                this.liveRef = db.ref(`rooms/${this.roomId}/liveStrokes/${window.CLIENT_ID}`);
+                this.liveRef.onDisconnect().remove();
             }
+            
+            this.liveRef.set({
+                color: this.getLiveColor(),
+                points: this.currentStroke
+            });
+        }, LIVE_STROKE_THROTTLE);
+    }
+
+    clearLiveStroke() {
+        if (this.liveTimer) {
+            clearTimeout(this.liveTimer);
+            this.liveTimer = null;
+        }
+        
+        if (this.liveRef) this.liveRef.remove();
+    }
+
+    setupLiveSync() {
+        const db = window.database || firebase.database();
+        const ref = db.ref(`rooms/${this.roomId}/liveStrokes`);
+        this.liveStrokesRef = ref;
+        
+        const update = (snap) => {
+            if (snap.key === window.CLIENT_ID) return; // Our own pen is drawn locally
+            
+            this.liveStrokes[snap.key] = snap.val();
+            this.redrawLive();
+        };
+        
+        ref.on('child_added', update);
+        ref.on('child_changed', update);
+        ref.on('child_removed', (snap) => {
+            delete this.liveStrokes[snap.key];
+            this.redrawLive();
         });
     }
 
-    destroy() {
-        if (this.strokesListener) {
-            const db = window.database || firebase.database();
-            db.ref(`rooms/${this.roomId}/strokes`).off('value', this.strokesListener);
+    detachFirebaseSync() {
+        if (this.strokesRef) {
+            this.strokesRef.off('child_added');
+            this.strokesRef.off('child_removed');
+            this.strokesRef = null;
+        }
+        
+        if (this.liveStrokesRef) {
+            this.liveStrokesRef.off();
+            this.liveStrokesRef = null;
+        }
+        
+        if (this.liveRef) {
+            this.clearLiveStroke();
+            this.liveRef.onDisconnect().cancel();
+            this.liveRef = null;
         }
+    }
+
+    destroy() {
+        this.detachFirebaseSync();
         if (this.canvas) this.canvas.remove();
+        if (this.liveCanvas) this.liveCanvas.remove();
     }
 }
 
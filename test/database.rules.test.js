@@ -0,0 +1,296 @@
+// Realtime Database rules (database.rules.json) against the emulator:
+//   npm run test:rules   (needs the Firebase CLI and Java)
+// Skipped by a plain `npm test` when no emulator is running.
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+    initializeTestEnvironment,
+    assertSucceeds,
+    assertFails
+} = require('@firebase/rules-unit-testing');
+
+const ROOM = 'ROOM01';
+const INVITE_TOKEN = 'i'.repeat(32);
+const SPECTATOR_TOKEN = 's'.repeat(32);
+const SERVER_TIME = { '.sv': 'timestamp' };
+
+const emulator = process.env.FIREBASE_DATABASE_EMULATOR_HOST;
+
+describe('database rules', { skip: !emulator && 'no database emulator (run npm run test:rules)' }, () => {
+    let testEnv;
+    const contexts = new Map();
+
+    // alice created the room, bob plays, carol watches, dave and erin are strangers
+    const db = (uid) => {
+        if (!contexts.has(uid)) {
+            contexts.set(uid, uid ? testEnv.authenticatedContext(uid) : testEnv.unauthenticatedContext());
+        }
+        return contexts.get(uid).database();
+    };
+    const ref = (uid, location) => db(uid).ref(location);
+
+    const seed = (visibility = 'public') => testEnv.withSecurityRulesDisabled(context =>
+        context.database().ref().set({
+            rooms: {
+                [ROOM]: {
+                    id: ROOM,
+                    name: 'תשבץ',
+                    createdBy: 'alice',
+                    grid: [[{ letter: '', isBlack: false }, { letter: '', isBlack: true }]],
+                    members: {
+                        alice: { name: 'Alice', role: 'creator' },
+                        bob: { name: 'Bob', role: 'player' },
+                        carol: { name: 'Carol', role: 'spectator' }
+                    },
+                    access: { visibility, locked: false }
+                }
+            },
+            roomSecrets: {
+                [ROOM]: { inviteToken: INVITE_TOKEN, spectatorToken: SPECTATOR_TOKEN }
+            },
+            room_history: [{ roomId: ROOM, name: 'תשבץ', lastAccessed: 1 }]
+        })
+    );
+
+    const join = (uid, role = 'player') => ref(uid, `rooms/${ROOM}/members/${uid}`).set({ name: uid, joinedAt: 1, role });
+    const holdInvite = (uid, token) => ref(uid, `users/${uid}/invites/${ROOM}`).set(token);
+    const cell = (uid, changes) => ref(uid, `rooms/${ROOM}/grid/0/0`).set({ letter: 'א', isBlack: false, uid, timestamp: SERVER_TIME, ...changes });
+
+    before(async () => {
+        const [host, port] = emulator.split(':');
+        testEnv = await initializeTestEnvironment({
+            projectId: 'demo-ozercrossword',
+            database: {
+                host,
+                port: Number(port),
+                rules: fs.readFileSync(path.join(__dirname, '..', 'database.rules.json'), 'utf8')
+            }
+        });
+    });
+
+    beforeEach(async () => {
+        await testEnv.clearDatabase();
+    });
+
+    after(async () => {
+        await testEnv.cleanup();
+    });
+
+    describe('rooms', () => {
+        it('lets a user create a room they own', async () => {
+            await assertSucceeds(ref('dave', 'rooms/NEW001').set({ id: 'NEW001', createdBy: 'dave', grid: [[{ letter: '', isBlack: false }]] }));
+            await assertFails(ref('dave', 'rooms/NEW002').set({ id: 'NEW002', createdBy: 'alice' }));
+            await assertFails(ref(null, 'rooms/NEW003').set({ id: 'NEW003', createdBy: 'dave' }));
+        });
+
+        it('never overwrites an existing room', async () => {
+            await seed();
+            await assertFails(ref('alice', `rooms/${ROOM}`).set({ id: ROOM, createdBy: 'alice' }));
+        });
+
+        it('lets anyone signed in read a public room', async () => {
+            await seed();
+            await assertSucceeds(ref('dave', `rooms/${ROOM}`).once('value'));
+            await assertFails(ref(null, `rooms/${ROOM}`).once('value'));
+        });
+
+        it('hides an invite-only room from non-members', async () => {
+            await seed('invite');
+            await assertSucceeds(ref('bob', `rooms/${ROOM}`).once('value'));
+            await assertFails(ref('dave', `rooms/${ROOM}`).once('value'));
+        });
+
+        it('leaves access settings to the creator', async () => {
+            await seed();
+            await assertSucceeds(ref('alice', `rooms/${ROOM}/access/locked`).set(true));
+            await assertFails(ref('bob', `rooms/${ROOM}/access/locked`).set(true));
+            await assertFails(ref('alice', `rooms/${ROOM}/access/visibility`).set('secret'));
+        });
+    });
+
+    describe('roomSecrets', () => {
+        it('is readable and writable by the creator only', async () => {
+            await seed('invite');
+            await assertSucceeds(ref('alice', `roomSecrets/${ROOM}`).once('value'));
+            await assertFails(ref('bob', `roomSecrets/${ROOM}`).once('value'));
+            await assertFails(ref('carol', `roomSecrets/${ROOM}/inviteToken`).once('value'));
+            await assertFails(ref('bob', `roomSecrets/${ROOM}/inviteToken`).set('x'.repeat(32)));
+        });
+
+        it('only takes long random tokens', async () => {
+            await seed();
+            await assertSucceeds(ref('alice', `roomSecrets/${ROOM}`).set({ inviteToken: 'a'.repeat(32), spectatorToken: 'b'.repeat(32) }));
+            await assertFails(ref('alice', `roomSecrets/${ROOM}`).set({ inviteToken: 'short', spectatorToken: 'b'.repeat(32) }));
+            await assertFails(ref('alice', `roomSecrets/${ROOM}`).set({ inviteToken: 'a'.repeat(32) }));
+        });
+    });
+
+    describe('members', () => {
+        it('lets anyone join a public room as a player or spectator', async () => {
+            await seed();
+            await assertSucceeds(join('dave'));
+            await assertSucceeds(join('erin', 'spectator'));
+        });
+
+        it('never lets a joiner pick the creator role', async () => {
+            await seed();
+            await assertFails(join('dave', 'creator'));
+        });
+
+        it('needs an invite token for an invite-only room', async () => {
+            await seed('invite');
+            await assertFails(join('dave'));
+
+            await holdInvite('dave', 'w'.repeat(32));
+            await assertFails(join('dave'));
+
+            await holdInvite('dave', INVITE_TOKEN);
+            await assertSucceeds(join('dave'));
+        });
+
+        it('lets the spectator token in as a spectator only', async () => {
+            await seed('invite');
+            await holdInvite('dave', SPECTATOR_TOKEN);
+            await assertFails(join('dave', 'player'));
+            await assertSucceeds(join('dave', 'spectator'));
+        });
+
+        it('stops working once the tokens are rotated', async () => {
+            await seed('invite');
+            await holdInvite('dave', INVITE_TOKEN);
+            await assertSucceeds(ref('alice', `roomSecrets/${ROOM}`).set({ inviteToken: 'n'.repeat(32), spectatorToken: 'm'.repeat(32) }));
+            await assertFails(join('dave'));
+        });
+
+        it('keeps kicked users out', async () => {
+            await seed();
+            await assertSucceeds(ref('alice', `rooms/${ROOM}/access/kicked/dave`).set(true));
+            await assertFails(join('dave'));
+        });
+
+        it('keeps invite tokens private to their holder', async () => {
+            await seed();
+            await holdInvite('dave', INVITE_TOKEN);
+            await assertFails(ref('bob', `users/dave/invites/${ROOM}`).once('value'));
+        });
+
+        it('lets members rename themselves but not change their role', async () => {
+            await seed();
+            await assertSucceeds(ref('carol', `rooms/${ROOM}/members/carol/name`).set('Caroline'));
+            await assertFails(ref('carol', `rooms/${ROOM}/members/carol/role`).set('player'));
+            await assertFails(ref('bob', `rooms/${ROOM}/members/carol/role`).set('player'));
+        });
+
+        it('lets the creator change roles and remove members', async () => {
+            await seed();
+            await assertSucceeds(ref('alice', `rooms/${ROOM}/members/carol/role`).set('player'));
+            await assertSucceeds(ref('alice', `rooms/${ROOM}/members/bob`).remove());
+        });
+    });
+
+    describe('grid', () => {
+        it('takes one Hebrew letter from players', async () => {
+            await seed();
+            await assertSucceeds(cell('bob'));
+            await assertSucceeds(cell('bob', { letter: '' }));
+            await assertFails(cell('bob', { letter: 'A' }));
+            await assertFails(cell('bob', { letter: 'אב' }));
+        });
+
+        it('only takes the server time as the timestamp', async () => {
+            await seed();
+            await assertFails(cell('bob', { timestamp: 1 }));
+        });
+
+        it('stamps the writer\'s own uid', async () => {
+            await seed();
+            await assertFails(cell('bob', { uid: 'alice' }));
+        });
+
+        it('is read-only for spectators and strangers', async () => {
+            await seed();
+            await assertFails(cell('carol'));
+            await assertFails(cell('dave'));
+        });
+
+        it('is read-only for players while locked', async () => {
+            await seed();
+            await assertSucceeds(ref('alice', `rooms/${ROOM}/access/locked`).set(true));
+            await assertFails(cell('bob'));
+            await assertSucceeds(cell('alice'));
+        });
+
+        it('leaves black cells to the creator', async () => {
+            await seed();
+            await assertFails(cell('bob', { isBlack: true }));
+            await assertSucceeds(cell('alice', { isBlack: true }));
+        });
+    });
+
+    describe('solution', () => {
+        it('is written by the creator only', async () => {
+            await seed();
+            await assertSucceeds(ref('alice', `rooms/${ROOM}/solution`).set({ cells: [['x']] }));
+            await assertFails(ref('bob', `rooms/${ROOM}/solution`).set({ cells: [['x']] }));
+        });
+    });
+
+    describe('strokes', () => {
+        const stroke = { points: [{ x: 0, y: 0 }, { x: 1, y: 1 }] };
+
+        it('takes strokes from players', async () => {
+            await seed();
+            await assertSucceeds(ref('bob', `rooms/${ROOM}/strokes/s1`).set(stroke));
+            await assertFails(ref('bob', `rooms/${ROOM}/strokes/s2`).set({ color: 'red' }));
+            await assertFails(ref('carol', `rooms/${ROOM}/strokes/s3`).set(stroke));
+        });
+
+        it('leaves clearing all strokes to the creator', async () => {
+            await seed();
+            await assertFails(ref('bob', `rooms/${ROOM}/strokes`).remove());
+            await assertFails(ref('carol', `rooms/${ROOM}/strokes`).remove());
+            await assertFails(ref('bob', `rooms/${ROOM}/strokes`).set({ s1: stroke }));
+            await assertSucceeds(ref('alice', `rooms/${ROOM}/strokes`).remove());
+        });
+    });
+
+    describe('global nodes', () => {
+        it('keeps users private', async () => {
+            await seed();
+            await assertSucceeds(ref('dave', 'users/dave/grid_settings').set({ rows: 11, cols: 11 }));
+            await assertSucceeds(ref('dave', 'users/dave/history').once('value'));
+            await assertFails(ref('bob', 'users/dave').once('value'));
+            await assertFails(ref('bob', 'users/dave/history/X').set({ roomId: 'X' }));
+        });
+
+        it('locks the old shared grid_settings', async () => {
+            await seed();
+            await assertFails(ref('dave', 'grid_settings').set({ rows: 11, cols: 11 }));
+            await assertFails(ref('dave', 'grid_settings').once('value'));
+        });
+
+        it('locks the old shared room_history', async () => {
+            await seed();
+            await assertFails(ref('dave', 'room_history').once('value'));
+            await assertFails(ref('dave', 'room_history').set(null));
+        });
+
+        it('lets signed-in clients delete the old shared handwriting keys, nothing else', async () => {
+            await seed();
+            await testEnv.withSecurityRulesDisabled(context => context.database().ref().update({
+                myscript_config: { appKey: 'leaked', hmacKey: 'leaked' },
+                azure_config: { endpoint: 'https://example.invalid', key: 'leaked' }
+            }));
+
+            await assertFails(ref('dave', 'myscript_config').once('value'));
+            await assertFails(ref('dave', 'azure_config').once('value'));
+            await assertFails(ref('dave', 'azure_config').set({ key: 'x' }));
+            await assertFails(ref(null, 'azure_config').remove());
+
+            await assertSucceeds(ref('dave', 'myscript_config').remove());
+            await assertSucceeds(ref('dave', 'azure_config').remove());
+        });
+    });
+});
@@ -0,0 +1,180 @@
+// handwriting.js is a browser script - load it the way index.html does, with the globals
+// firebase-app.js would provide
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const storage = new Map();
+global.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key)
+};
+global.window = {};
+global.CONFIG = {};
+global.HEBREW_RANGE = /^[\u0590-\u05FF]$/;
+
+for (const script of ['hebrew-recognizer.js', 'handwriting.js']) {
+    vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', script), 'utf8'));
+}
+const { HandwritingManager, HandwritingRecognizer, MockRecognizer } = window;
+
+// A vertical line - enough for the local templates to answer
+const INPUT = { strokes: [[{ x: 50, y: 10 }, { x: 50, y: 90 }]], width: 100, height: 100 };
+
+// Replaces a provider with a stub that records when it was asked
+const stub = (manager, calls, name, answer) => {
+    manager.providers[name] = {
+        label: name,
+        isAvailable: () => true,
+        recognize: async () => {
+            calls.push(name);
+            if (answer instanceof Error) throw answer;
+            return answer;
+        }
+    };
+};
+
+describe('HandwritingManager', () => {
+    let manager;
+    let calls;
+
+    beforeEach(() => {
+        storage.clear();
+        Object.keys(CONFIG).forEach(key => delete CONFIG[key]);
+        manager = new HandwritingManager();
+        calls = [];
+    });
+
+    it('defaults to the local provider and ignores unknown names', () => {
+        assert.equal(manager.getProviderName(), 'local');
+
+        manager.setProviderName('azure');
+        assert.equal(manager.getProviderName(), 'azure');
+
+        manager.setProviderName('nope');
+        assert.equal(manager.getProviderName(), 'azure');
+
+        localStorage.setItem('handwritingProvider', 'nope');
+        assert.equal(manager.getProviderName(), 'local');
+    });
+
+    it('only offers cloud providers once their keys are set', () => {
+        assert.equal(manager.providers.myscript.isAvailable(), false);
+        assert.equal(manager.providers.azure.isAvailable(), false);
+
+        Object.assign(CONFIG, { MYSCRIPT_APP_KEY: 'app', MYSCRIPT_HMAC_KEY: 'hmac', AZURE_ENDPOINT: 'https://x', AZURE_KEY: 'key' });
+        assert.equal(manager.providers.myscript.isAvailable(), true);
+        assert.equal(manager.providers.azure.isAvailable(), true);
+    });
+
+    it('answers from the selected provider', async () => {
+        manager.setProviderName('mock');
+        const result = await manager.recognize(INPUT);
+
+        assert.equal(result.provider, 'mock');
+        assert.deepEqual(result.candidates, [{ letter: 'א', score: 0.9 }, { letter: 'ב', score: 0.5 }]);
+    });
+
+    it('falls back myscript → azure → local past failures and empty answers', async () => {
+        stub(manager, calls, 'myscript', new Error('API_ERROR'));
+        stub(manager, calls, 'azure', []);
+        stub(manager, calls, 'local', [{ letter: 'ו', score: 0.7 }]);
+        manager.setProviderName('myscript');
+
+        const result = await manager.recognize(INPUT);
+
+        assert.deepEqual(calls, ['myscript', 'azure', 'local']);
+        assert.deepEqual(result, { provider: 'local', candidates: [{ letter: 'ו', score: 0.7 }] });
+    });
+
+    it('tries the selected provider first, then the rest in order', async () => {
+        stub(manager, calls, 'myscript', new Error('API_ERROR'));
+        stub(manager, calls, 'azure', new Error('TIMEOUT'));
+        stub(manager, calls, 'local', []);
+        manager.setProviderName('azure');
+
+        const result = await manager.recognize(INPUT);
+
+        assert.deepEqual(calls, ['azure', 'myscript', 'local']);
+        assert.deepEqual(result, { provider: null, candidates: [] });
+    });
+
+    it('skips providers that are not configured', async () => {
+        manager.setProviderName('myscript');
+        const result = await manager.recognize(INPUT);
+
+        assert.equal(result.provider, 'local');
+        assert.ok(result.candidates.length > 0);
+    });
+
+    it('learns through the local provider', async () => {
+        manager.learn('ז', INPUT);
+        assert.ok(JSON.parse(localStorage.getItem('handwritingTemplates'))['ז']);
+    });
+});
+
+describe('candidate ranking', () => {
+    it('keeps unique Hebrew letters in the order given', () => {
+        const recognizer = new HandwritingRecognizer('test', 'Test');
+        const candidates = recognizer.toCandidates([
+            { text: 'אב', score: 0.9 },
+            { text: 'A ב', score: 0.6 },
+            { text: null, score: 0.5 },
+            { text: 'ג1', score: 0.3 }
+        ]);
+
+        assert.deepEqual(candidates, [
+            { letter: 'א', score: 0.9 },
+            { letter: 'ב', score: 0.9 },
+            { letter: 'ג', score: 0.3 }
+        ]);
+    });
+
+    it('ranks MyScript alternatives after its best guess', async () => {
+        const myscript = new HandwritingManager().providers.myscript;
+        myscript.send = async () => ({ label: 'ש', words: [{ candidates: ['ש', 'ט', 'w', 'ס'] }] });
+
+        const candidates = await myscript.recognize(INPUT);
+
+        assert.deepEqual(candidates.map(candidate => candidate.letter), ['ש', 'ט', 'ס']);
+        assert.ok(candidates[0].score > candidates[1].score && candidates[1].score > candidates[2].score);
+    });
+
+    it('ranks Azure words by confidence', async () => {
+        Object.assign(CONFIG, { AZURE_ENDPOINT: 'https://azure.invalid', AZURE_KEY: 'key' });
+        const azure = new HandwritingManager().providers.azure;
+        azure.renderToBlob = async () => 'image';
+
+        const responses = [
+            { ok: true, headers: { get: () => 'https://azure.invalid/result' } },
+            {
+                json: async () => ({
+                    status: 'succeeded',
+                    analyzeResult: {
+                        readResults: [{ lines: [{ words: [{ text: 'ר', confidence: 0.4 }, { text: 'ד', confidence: 0.8 }] }] }]
+                    }
+                })
+            }
+        ];
+        const originalFetch = global.fetch;
+        global.fetch = async () => responses.shift();
+
+        try {
+            assert.deepEqual(await azure.recognize(INPUT), [{ letter: 'ד', score: 0.8 }, { letter: 'ר', score: 0.4 }]);
+        } finally {
+            global.fetch = originalFetch;
+        }
+    });
+
+    it('returns copies from the mock', async () => {
+        const mock = new MockRecognizer([{ letter: 'ת', score: 1 }]);
+        const first = await mock.recognize(INPUT);
+        first[0].letter = 'x';
+
+        assert.deepEqual(await mock.recognize(INPUT), [{ letter: 'ת', score: 1 }]);
+    });
+});
@@ -0,0 +1,129 @@
+// hebrew-recognizer.js is a browser script - load it the way index.html does
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const storage = new Map();
+global.localStorage = {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key)
+};
+global.window = {};
+
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'hebrew-recognizer.js'), 'utf8'));
+const { HebrewRecognizer } = window;
+const TEMPLATES = vm.runInThisContext('HEBREW_TEMPLATES');
+
+// Same jitter on every run
+const random = (() => {
+    let seed = 42;
+    return () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+    };
+})();
+
+// A template as a hand might draw it: denser points, each moved a little
+const draw = (strokes, jitter = 0.02) => strokes.map(stroke => {
+    const points = [];
+    for (let i = 1; i < stroke.length; i++) {
+        const [x1, y1] = stroke[i - 1];
+        const [x2, y2] = stroke[i];
+        for (let step = 0; step < 4; step++) {
+            const t = step / 4;
+            points.push({ x: x1 + (x2 - x1) * t, y: y1 + (y2 - y1) * t });
+        }
+    }
+    const [x, y] = stroke[stroke.length - 1];
+    points.push({ x, y });
+
+    return points.map(p => ({
+        x: p.x + (random() - 0.5) * 2 * jitter,
+        y: p.y + (random() - 0.5) * 2 * jitter
+    }));
+});
+
+describe('HebrewRecognizer', () => {
+    let recognizer;
+
+    beforeEach(() => {
+        storage.clear();
+        recognizer = new HebrewRecognizer();
+    });
+
+    it('has a template for every letter, final forms included', () => {
+        assert.equal(Object.keys(TEMPLATES).join(''), 'אבגדהוזחטיכךלמםנןסעפףצץקרשת');
+    });
+
+    // Matching ignores size, so ו and ן (the same stroke, only longer) come out
+    // as the top two either way
+    const SAME_SHAPE = { 'ו': 'ן', 'ן': 'ו' };
+
+    for (const letter of Object.keys(TEMPLATES)) {
+        it(`recognizes a hand-drawn ${letter}`, () => {
+            const candidates = recognizer.recognize(draw(TEMPLATES[letter]));
+
+            if (SAME_SHAPE[letter]) {
+                assert.deepEqual(candidates.slice(0, 2).map(c => c.letter).sort(), [letter, SAME_SHAPE[letter]].sort());
+            } else {
+                assert.equal(candidates[0].letter, letter);
+            }
+        });
+    }
+
+    it('ranks candidates best first with scores from 0 to 1', () => {
+        const candidates = recognizer.recognize(draw(TEMPLATES['ר']));
+
+        assert.equal(candidates.length, 5);
+        assert.equal(new Set(candidates.map(candidate => candidate.letter)).size, 5);
+        candidates.forEach((candidate, i) => {
+            assert.ok(candidate.score > 0 && candidate.score <= 1);
+            if (i > 0) assert.ok(candidate.score <= candidates[i - 1].score);
+        });
+        assert.equal(recognizer.recognize(draw(TEMPLATES['ר']), 2).length, 2);
+    });
+
+    it('learns a personal drawing and keeps it across sessions', () => {
+        // A plain vertical line reads as ו / ן - this user writes their ז that way
+        const line = [[{ x: 0.5, y: 0.1 }, { x: 0.5, y: 0.9 }]];
+        assert.notEqual(recognizer.recognize(line)[0].letter, 'ז');
+
+        recognizer.learn('ז', line);
+
+        assert.equal(recognizer.recognize(line)[0].letter, 'ז');
+        assert.deepEqual(JSON.parse(localStorage.getItem('handwritingTemplates')), { 'ז': [line] });
+        assert.equal(new HebrewRecognizer().recognize(line)[0].letter, 'ז');
+    });
+
+    it('keeps the last five samples per letter', () => {
+        for (let i = 0; i < 7; i++) {
+            recognizer.learn('ו', [[{ x: 0.5, y: 0.1 }, { x: 0.5 + i / 100, y: 0.9 }]]);
+        }
+
+        const samples = JSON.parse(localStorage.getItem('handwritingTemplates'))['ו'];
+        assert.equal(samples.length, 5);
+        assert.equal(samples[4][0][1].x, 0.56);
+        assert.equal(recognizer.templates.filter(template => template.learned).length, 5);
+    });
+
+    it('starts over when the saved samples are unreadable', () => {
+        localStorage.setItem('handwritingTemplates', '{');
+        assert.deepEqual(new HebrewRecognizer().learned, {});
+    });
+
+    it('returns nothing for empty input or a tap', () => {
+        assert.deepEqual(recognizer.recognize([]), []);
+        assert.deepEqual(recognizer.recognize([[]]), []);
+        assert.deepEqual(recognizer.recognize([[{ x: 0.5, y: 0.5 }]]), []);
+        assert.deepEqual(recognizer.recognize([[{ x: 0.5, y: 0.5 }], [{ x: 0.5, y: 0.5 }]]), []);
+    });
+
+    it('does not learn from a tap', () => {
+        recognizer.learn('י', [[{ x: 0.5, y: 0.5 }]]);
+        assert.equal(localStorage.getItem('handwritingTemplates'), null);
+    });
+});
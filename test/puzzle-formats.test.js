@@ -0,0 +1,206 @@
+// puzzle-formats.js is a browser script - load it the way index.html does
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+global.window = {};
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'puzzle-formats.js'), 'utf8'));
+const { PuzzleFormats } = window;
+
+// A File as seen by PuzzleFormats.read
+const file = (name, content) => ({
+    name,
+    text: async () => content,
+    arrayBuffer: async () => content.buffer
+});
+
+// Hebrew letters in windows-1255 (א = 0xE0 ... ת = 0xFA)
+const encode = (text) => Array.from(text, char => {
+    const code = char.charCodeAt(0);
+    return code >= 0x05D0 && code <= 0x05EA ? 0xE0 + code - 0x05D0 : code;
+});
+
+// The test grids are drawn small and padded with black cells to the 5×5 minimum
+const pad = (rows, black) => Array.from({ length: 5 }, (_, row) => (rows[row] || '').padEnd(5, black));
+const padIpuz = (rows) => Array.from({ length: 5 }, (_, row) =>
+    Array.from({ length: 5 }, (_, col) => (rows[row] && rows[row][col] !== undefined ? rows[row][col] : '#'))
+);
+
+// Across Lite file, boards and strings written left to right like a printed page
+const buildPuz = ({ rows, solution, state, title, clues }) => {
+    const cols = solution[0].length;
+    const header = new Array(0x34).fill(0);
+    header.splice(0x02, 12, ...encode('ACROSS&DOWN\0'));
+    header.splice(0x18, 4, ...encode('1.3\0'));
+    header[0x2C] = cols;
+    header[0x2D] = rows;
+    header[0x2E] = clues.length;
+
+    const strings = [title, '', '', ...clues].flatMap(text => [...encode(text), 0]);
+    return new Uint8Array([...header, ...encode(solution.join('')), ...encode(state.join('')), ...strings]);
+};
+
+describe('.puz', () => {
+    // Printed:  א ב ג # #
+    //           ד # ה # #
+    //           (black below)
+    const puz = buildPuz({
+        rows: 5,
+        solution: pad(['אבג', 'ד.ה'], '.'),
+        state: pad(['-ב-', '-.-'], '.'),
+        title: 'תשבץ',
+        clues: ['מאוזן 1', 'מאונך 1', 'מאונך 2']
+    });
+
+    it('reads the header and title', () => {
+        const puzzle = PuzzleFormats.fromPuz(puz);
+        assert.equal(puzzle.rows, 5);
+        assert.equal(puzzle.cols, 5);
+        assert.equal(puzzle.title, 'תשבץ');
+    });
+
+    it('mirrors the columns into the room orientation', () => {
+        const puzzle = PuzzleFormats.fromPuz(puz);
+        assert.deepEqual(puzzle.solution.slice(0, 2), [['', '', 'ג', 'ב', 'א'], ['', '', 'ה', '', 'ד']]);
+        assert.deepEqual(puzzle.cells[1].map(cell => cell.isBlack), [true, true, false, true, false]);
+        assert.deepEqual(puzzle.cells[0].map(cell => cell.letter), ['', '', '', 'ב', '']);
+    });
+
+    it('maps clues to the cells that start them', () => {
+        const puzzle = PuzzleFormats.fromPuz(puz);
+        assert.deepEqual(puzzle.clues, [
+            { direction: 'horizontal', text: 'מאוזן 1', number: 1, row: 0, col: 4 },
+            { direction: 'vertical', text: 'מאונך 1', number: 1, row: 0, col: 4 },
+            { direction: 'vertical', text: 'מאונך 2', number: 2, row: 0, col: 2 }
+        ]);
+    });
+
+    it('rejects other binary files', () => {
+        assert.throws(() => PuzzleFormats.fromPuz(new Uint8Array(0x40)), /puz אינו תקין/);
+        assert.throws(() => PuzzleFormats.fromPuz(puz.subarray(0, 0x38)), /puz אינו תקין/);
+    });
+});
+
+describe('.ipuz', () => {
+    const ipuz = {
+        version: 'http://ipuz.org/v2',
+        kind: ['http://ipuz.org/crossword#1'],
+        title: '<b>תשבץ</b>',
+        dimensions: { width: 5, height: 5 },
+        puzzle: padIpuz([[1, 0, 2], [0, '#', 0]]),
+        solution: padIpuz([['א', 'ב', 'ג'], ['ד', '#', 'ה']]),
+        clues: {
+            Across: [[1, 'מאוזן 1']],
+            Down: [[1, 'מאונך 1'], { number: 2, clue: 'מאונך 2' }]
+        }
+    };
+
+    it('maps numbered clues to their cells', () => {
+        const puzzle = PuzzleFormats.fromIpuz(ipuz);
+        assert.equal(puzzle.title, 'תשבץ');
+        assert.deepEqual(puzzle.solution.slice(0, 2), [['', '', 'ג', 'ב', 'א'], ['', '', 'ה', '', 'ד']]);
+        assert.deepEqual(puzzle.clues, [
+            { direction: 'horizontal', text: 'מאוזן 1', number: 1, row: 0, col: 4 },
+            { direction: 'vertical', text: 'מאונך 1', number: 1, row: 0, col: 4 },
+            { direction: 'vertical', text: 'מאונך 2', number: 2, row: 0, col: 2 }
+        ]);
+    });
+
+    it('writes back the printed layout', () => {
+        const exported = PuzzleFormats.toIpuz(PuzzleFormats.fromIpuz(ipuz));
+        assert.deepEqual(exported.dimensions, ipuz.dimensions);
+        assert.deepEqual(exported.puzzle, ipuz.puzzle);
+        assert.deepEqual(exported.clues, {
+            Across: [[1, 'מאוזן 1']],
+            Down: [[1, 'מאונך 1'], [2, 'מאונך 2']]
+        });
+        assert.equal(exported.solution, undefined);
+    });
+
+    it('rejects other ipuz kinds', () => {
+        assert.throws(() => PuzzleFormats.fromIpuz({ ...ipuz, kind: ['http://ipuz.org/sudoku#1'] }), /אינו תשבץ/);
+    });
+});
+
+describe('JSON', () => {
+    const json = {
+        format: 'ozer-crossword',
+        version: 1,
+        title: 'תשבץ',
+        rows: 5,
+        cols: 5,
+        grid: pad(['אב.', '.#.'], '#'),
+        solution: pad(['אבג', 'ד#ה'], '#'),
+        clues: {
+            horizontal: { 1: 'מאוזן 1' },
+            vertical: { 1: 'מאונך 1', 2: 'מאונך 2' }
+        }
+    };
+
+    it('round-trips without the solution', () => {
+        const expected = { ...json };
+        delete expected.solution;
+        assert.deepEqual(PuzzleFormats.toJSON(PuzzleFormats.fromJSON(json)), expected);
+    });
+
+    it('reads rows in reading order', () => {
+        const puzzle = PuzzleFormats.fromJSON(json);
+        assert.deepEqual(puzzle.cells[0].map(cell => cell.letter), ['א', 'ב', '', '', '']);
+        assert.deepEqual(puzzle.solution.slice(0, 2), [['א', 'ב', 'ג', '', ''], ['ד', '', 'ה', '', '']]);
+    });
+
+    it('explains rows of the wrong length', () => {
+        assert.throws(() => PuzzleFormats.fromJSON({ ...json, grid: json.grid.with(1, '.#') }), { message: 'שורה 2: צריך 5 תווים' });
+        assert.throws(() => PuzzleFormats.fromJSON({ ...json, solution: json.solution.with(0, 'אבגד##') }), { message: 'שורה 1: צריך 5 תווים' });
+    });
+
+    it('explains rows that are not strings', () => {
+        assert.throws(() => PuzzleFormats.fromJSON({ ...json, grid: json.grid.with(1, 42) }), { message: 'שורה 2: צריך 5 תווים' });
+        assert.throws(() => PuzzleFormats.fromJSON({ ...json, grid: json.grid.with(0, null) }), { message: 'שורה 1: צריך 5 תווים' });
+    });
+
+    it('explains a missing row or a bad size', () => {
+        assert.throws(() => PuzzleFormats.fromJSON({ ...json, grid: json.grid.slice(0, 4) }), { message: 'צריך 5 שורות ברשת' });
+        assert.throws(() => PuzzleFormats.fromJSON({ ...json, rows: 0 }), /גודל רשת לא תקין/);
+    });
+
+    it('takes the same 5-25 sizes as the grid builder', () => {
+        const square = (size) => ({ ...json, rows: size, cols: size, grid: Array(size).fill('.'.repeat(size)), solution: undefined });
+
+        assert.equal(PuzzleFormats.fromJSON(square(25)).rows, 25);
+        assert.throws(() => PuzzleFormats.fromJSON(square(4)), { message: 'גודל רשת לא תקין (4×4, צריך 5-25)' });
+        assert.throws(() => PuzzleFormats.fromJSON(square(26)), { message: 'גודל רשת לא תקין (26×26, צריך 5-25)' });
+    });
+
+    it('refuses files from a newer version', () => {
+        assert.throws(() => PuzzleFormats.fromJSON({ ...json, version: 2 }), { message: 'הקובץ נוצר בגרסה חדשה יותר' });
+    });
+});
+
+describe('read', () => {
+    it('picks the format by extension and content', async () => {
+        const puzzle = await PuzzleFormats.read(file('puzzle.json', JSON.stringify({
+            format: 'ozer-crossword', version: 1, rows: 5, cols: 5, grid: pad(['א.'], '#')
+        })));
+        assert.equal(puzzle.cells[0][0].letter, 'א');
+
+        const wrapped = await PuzzleFormats.read(file('puzzle.ipuz', `ipuz(${JSON.stringify({
+            kind: ['http://ipuz.org/crossword#1'], dimensions: { width: 5, height: 5 }, puzzle: padIpuz([[1, 0]])
+        })})`));
+        assert.equal(wrapped.clues.length, 0);
+        assert.deepEqual(wrapped.cells[0].map(cell => cell.isBlack), [true, true, true, false, false]);
+
+        const puz = await PuzzleFormats.read(file('Puzzle.PUZ', buildPuz({
+            rows: 5, solution: pad(['אב'], '.'), state: pad(['--'], '.'), title: '', clues: ['מאוזן']
+        })));
+        assert.deepEqual(puz.solution[0], ['', '', '', 'ב', 'א']);
+    });
+
+    it('rejects unknown files', async () => {
+        await assert.rejects(PuzzleFormats.read(file('puzzle.txt', '')), { message: 'סוג קובץ לא נתמך (ipuz, puz, json)' });
+        await assert.rejects(PuzzleFormats.read(file('puzzle.json', '{')), { message: 'הקובץ אינו JSON תקין' });
+    });
+});
@@ -0,0 +1,84 @@
+// qr-code.js is a browser script - load it the way index.html does, then read the codes
+// back with an independent decoder
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const jsQR = require('jsqr');
+
+global.window = {};
+vm.runInThisContext(fs.readFileSync(path.join(__dirname, '..', 'qr-code.js'), 'utf8'));
+const { QRCode } = window;
+
+// Just enough of a canvas for QRCode.toCanvas, keeping the pixels as RGBA
+const createCanvas = () => {
+    const canvas = {
+        width: 0,
+        height: 0,
+        getContext: () => ({
+            fillStyle: '#000000',
+            fillRect(x, y, width, height) {
+                if (!canvas.pixels) canvas.pixels = new Uint8ClampedArray(canvas.width * canvas.height * 4).fill(255);
+                const value = this.fillStyle === '#FFFFFF' ? 255 : 0;
+                for (let row = y; row < y + height; row++) {
+                    const start = (row * canvas.width + x) * 4;
+                    for (let i = start; i < start + width * 4; i += 4) {
+                        canvas.pixels.fill(value, i, i + 3);
+                    }
+                }
+            }
+        })
+    };
+    return canvas;
+};
+
+const decode = (text) => {
+    const canvas = createCanvas();
+    const qr = QRCode.toCanvas(text, canvas, 4);
+    const result = jsQR(canvas.pixels, canvas.width, canvas.height, { inversionAttempts: 'dontInvert' });
+    return { qr, result };
+};
+
+describe('QRCode', () => {
+    it('encodes a room invite link that reads back exactly', () => {
+        const link = `https://ozercrossword.web.app/#/room/ABC123?invite=${'a1B2'.repeat(8)}&as=spectator`;
+        const { qr, result } = decode(link);
+
+        assert.ok(result, 'decoder found no QR code');
+        assert.equal(result.data, link);
+        assert.equal(result.version, qr.version);
+    });
+
+    it('keeps Hebrew text as UTF-8 bytes', () => {
+        const text = 'בואו לפתור איתי תשבץ!';
+        const { result } = decode(text);
+
+        assert.deepEqual(Array.from(result.binaryData), Array.from(new TextEncoder().encode(text)));
+    });
+
+    // The longest text each version takes at error correction M in byte mode
+    const CAPACITY = [null, 14, 26, 42, 62, 84, 106, 122, 152, 180, 213];
+
+    for (let version = 1; version <= 10; version++) {
+        it(`fills version ${version} and reads back`, () => {
+            const text = 'x'.repeat(CAPACITY[version]);
+            const { qr, result } = decode(text);
+
+            assert.equal(qr.version, version);
+            assert.equal(qr.size, version * 4 + 17);
+            assert.ok(result, 'decoder found no QR code');
+            assert.equal(result.data, text);
+        });
+    }
+
+    it('moves up a version once the text no longer fits', () => {
+        assert.equal(new QRCode('x'.repeat(CAPACITY[1] + 1)).version, 2);
+    });
+
+    it('throws for text longer than version 10 holds', () => {
+        assert.throws(() => new QRCode('x'.repeat(CAPACITY[10] + 1)), { message: 'Text too long for a QR code' });
+        assert.throws(() => QRCode.toCanvas('א'.repeat(107), createCanvas()), { message: 'Text too long for a QR code' });
+    });
+});